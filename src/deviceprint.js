@@ -15,6 +15,18 @@
 (function (global) {
   "use strict";
 
+  /**
+   * Library version, sent in sealed envelopes
+   */
+  const VERSION = "3.0.0";
+
+  /**
+   * Version of the fingerprint format, used in the "v3:sha256:…" hash prefix.
+   * Bump it when computeHash changes; bump a signal's own version when only
+   * that collector's output changes.
+   */
+  const SCHEMA_VERSION = 3;
+
   /**
    * Signal configuration presets
    */
@@ -47,6 +59,7 @@
     // Includes version-sensitive signals for better uniqueness (canvas, webgl, userAgent)
     EXTENDED: [
       "userAgent",
+      "clientHints",
       "language",
       "colorDepth",
       "screenResolution",
@@ -68,6 +81,9 @@
       "hasLiedResolution",
       "hasLiedOs",
       "hasLiedBrowser",
+      "consistency",
+      "botSignals",
+      "crossContext",
       "touchSupport",
       "fonts",
       "audio",
@@ -80,13 +96,16 @@
       "pointerInfo",
       "mathFingerprint",
       "mediaSupport",
+      "webglRender",
       "extendedWebGL",
+      "webgpu",
       "speechVoices",
     ],
 
     // All available signals (may request permissions, includes dynamic data)
     FULL: [
       "userAgent",
+      "clientHints",
       "language",
       "colorDepth",
       "screenResolution",
@@ -108,6 +127,9 @@
       "hasLiedResolution",
       "hasLiedOs",
       "hasLiedBrowser",
+      "consistency",
+      "botSignals",
+      "crossContext",
       "touchSupport",
       "fonts",
       "audio",
@@ -120,7 +142,9 @@
       "pointerInfo",
       "mathFingerprint",
       "mediaSupport",
+      "webglRender",
       "extendedWebGL",
+      "webgpu",
       "speechVoices",
       "networkInfo",
       "batteryInfo",
@@ -132,310 +156,2336 @@
   };
 
   /**
-   * Main DevicePrint class
+   * Registered signal collectors, keyed by signal name
    */
-  class DevicePrint {
-    /**
-     * @param {Object} options - Configuration options
-     * @param {String|Array} options.signals - Preset name ('DEFAULT', 'EXTENDED', 'FULL') or array of signal names
-     * @param {Object} options.exclude - Signals to exclude from the preset
-     */
-    constructor(options = {}) {
-      this.components = {};
+  const SIGNAL_REGISTRY = {};
 
-      // Determine which signals to collect
-      if (Array.isArray(options.signals)) {
-        this.enabledSignals = options.signals;
-      } else if (
-        typeof options.signals === "string" &&
-        SIGNAL_PRESETS[options.signals.toUpperCase()]
-      ) {
-        this.enabledSignals = SIGNAL_PRESETS[options.signals.toUpperCase()];
-      } else {
-        this.enabledSignals = SIGNAL_PRESETS.DEFAULT;
-      }
+  /**
+   * Value kinds a signal definition's type may list: "array" and "null" as
+   * well as the typeof results
+   */
+  const SIGNAL_VALUE_TYPES = [
+    "string",
+    "number",
+    "boolean",
+    "object",
+    "array",
+    "null",
+  ];
 
-      // Apply exclusions
-      if (options.exclude && Array.isArray(options.exclude)) {
-        this.enabledSignals = this.enabledSignals.filter(
-          (s) => !options.exclude.includes(s),
-        );
-      }
-    }
+  /**
+   * Look up a registered signal definition
+   */
+  function getSignal(name) {
+    return Object.prototype.hasOwnProperty.call(SIGNAL_REGISTRY, name)
+      ? SIGNAL_REGISTRY[name]
+      : null;
+  }
 
-    /**
-     * Generate a complete device fingerprint
-     * @returns {Promise<object>} Device fingerprint components and hash
-     */
-    async generate() {
-      await this.collectComponents();
-      const hash = await this.computeHash();
-      return {
-        components: this.components,
-        fingerprint: hash,
-        signalsUsed: Object.keys(this.components),
-      };
+  /**
+   * Cache lifetimes in ms for the built-in signals' cacheTtl
+   */
+  const MINUTE = 60 * 1000;
+  const HOUR = 60 * MINUTE;
+  const DAY = 24 * HOUR;
+
+  /**
+   * In-memory signal cache shared by all instances, keyed by cacheKey()
+   */
+  const SIGNAL_CACHE = {};
+
+  /**
+   * Prefix of the sessionStorage keys used by the "sessionStorage" cache
+   */
+  const CACHE_STORAGE_PREFIX = "deviceprint:";
+
+  /**
+   * URL of this script, which the collection worker loads again. Only a
+   * standalone <script> qualifies; loading a bundle in the worker would run
+   * the whole application there.
+   */
+  const SCRIPT_URL =
+    typeof module === "undefined" &&
+    typeof define !== "function" &&
+    typeof document !== "undefined" &&
+    document.currentScript
+      ? document.currentScript.src || null
+      : null;
+
+  /**
+   * Default time in ms to wait for the collection worker before collecting on the main thread
+   */
+  const WORKER_TIMEOUT = 5000;
+
+  /**
+   * Math calls as [function, ...arguments]. The Math constants are the same in
+   * every IEEE-754 engine, but these transcendental functions are only
+   * approximated, so V8, SpiderMonkey and JavaScriptCore (and the libm of the
+   * OS/CPU they run on) round them differently. Huge arguments to sin/tan need
+   * argument reduction, which engines implement differently as well.
+   */
+  const MATH_PROBES = {
+    acos: ["acos", 0.123124234234234242],
+    acosh: ["acosh", 1e308],
+    asin: ["asin", 0.123124234234234242],
+    asinh: ["asinh", 1],
+    atan: ["atan", 0.5],
+    atanh: ["atanh", 0.5],
+    atan2: ["atan2", 0.5, -0.3],
+    sin: ["sin", -1e300],
+    cos: ["cos", 10.000000000123],
+    tan: ["tan", -1e300],
+    sinh: ["sinh", 1],
+    cosh: ["cosh", 1],
+    tanh: ["tanh", 1],
+    exp: ["exp", 1],
+    expm1: ["expm1", 1],
+    log1p: ["log1p", 10],
+    cbrt: ["cbrt", 100],
+    powPi: ["pow", Math.PI, -100],
+    powSmall: ["pow", 1.0000001, 1e7],
+  };
+
+  /**
+   * Component value recorded for an async signal that did not settle in time
+   */
+  const TIMEOUT_VALUE = "timeout";
+
+  // Internal marker resolved by withTimeout when the timer wins
+  const TIMED_OUT = {};
+
+  /**
+   * Component value recorded for a signal whose collector threw
+   */
+  const ERROR_VALUE = "error";
+
+  /**
+   * Collector return values that mean the API is missing or blocked
+   */
+  const UNSUPPORTED_VALUES = [
+    "not supported",
+    "not available",
+    "permission denied",
+  ];
+
+  /**
+   * High-resolution timestamp in ms (Date.now() where performance is missing)
+   */
+  function now() {
+    return typeof performance !== "undefined" && performance.now
+      ? performance.now()
+      : Date.now();
+  }
+
+  /**
+   * Build the error generate() rejects with when its AbortSignal fires
+   */
+  function abortError(abortSignal) {
+    if (abortSignal.reason !== undefined) {
+      return abortSignal.reason;
     }
+    const error = new Error("Fingerprint generation was aborted");
+    error.name = "AbortError";
+    return error;
+  }
 
-    /**
-     * Check if a signal is enabled
-     */
-    isSignalEnabled(signalName) {
-      return this.enabledSignals.includes(signalName);
+  /**
+   * Race a collector promise against a timeout and an optional AbortSignal.
+   * Resolves with TIMED_OUT when the timeout elapses first.
+   */
+  function withTimeout(promise, ms, abortSignal) {
+    if (!(ms > 0) && !abortSignal) {
+      return promise;
     }
 
-    /**
-     * Collect all fingerprint components based on enabled signals
-     */
-    async collectComponents() {
-      this.components = {};
+    return new Promise((resolve, reject) => {
+      let timer = null;
 
-      // Collect each enabled signal
-      const signalPromises = [];
+      const onAbort = () => {
+        cleanup();
+        reject(abortError(abortSignal));
+      };
 
-      // Synchronous signals
-      if (this.isSignalEnabled("userAgent"))
-        this.components.userAgent = this.getUserAgent();
-      if (this.isSignalEnabled("language"))
-        this.components.language = this.getLanguage();
-      if (this.isSignalEnabled("colorDepth"))
-        this.components.colorDepth = this.getColorDepth();
-      if (this.isSignalEnabled("screenResolution"))
-        this.components.screenResolution = this.getScreenResolution();
-      if (this.isSignalEnabled("availableScreenResolution"))
-        this.components.availableScreenResolution =
-          this.getAvailableScreenResolution();
-      if (this.isSignalEnabled("timezoneOffset"))
-        this.components.timezoneOffset = this.getTimezoneOffset();
-      if (this.isSignalEnabled("timezone"))
-        this.components.timezone = this.getTimezone();
-      if (this.isSignalEnabled("sessionStorage"))
-        this.components.sessionStorage = this.hasSessionStorage();
-      if (this.isSignalEnabled("localStorage"))
-        this.components.localStorage = this.hasLocalStorage();
-      if (this.isSignalEnabled("indexedDB"))
-        this.components.indexedDB = this.hasIndexedDB();
-      if (this.isSignalEnabled("cpuClass"))
-        this.components.cpuClass = this.getCpuClass();
-      if (this.isSignalEnabled("platform"))
-        this.components.platform = this.getPlatform();
-      if (this.isSignalEnabled("doNotTrack"))
-        this.components.doNotTrack = this.getDoNotTrack();
-      if (this.isSignalEnabled("plugins"))
-        this.components.plugins = this.getPlugins();
-      if (this.isSignalEnabled("webgl"))
-        this.components.webgl = this.getWebGLFingerprint();
-      if (this.isSignalEnabled("webglVendor"))
-        this.components.webglVendor = this.getWebGLVendor();
-      if (this.isSignalEnabled("adBlock"))
-        this.components.adBlock = this.getAdBlock();
-      if (this.isSignalEnabled("hasLiedLanguages"))
-        this.components.hasLiedLanguages = this.getHasLiedLanguages();
-      if (this.isSignalEnabled("hasLiedResolution"))
-        this.components.hasLiedResolution = this.getHasLiedResolution();
-      if (this.isSignalEnabled("hasLiedOs"))
-        this.components.hasLiedOs = this.getHasLiedOs();
-      if (this.isSignalEnabled("hasLiedBrowser"))
-        this.components.hasLiedBrowser = this.getHasLiedBrowser();
-      if (this.isSignalEnabled("touchSupport"))
-        this.components.touchSupport = this.getTouchSupport();
-      if (this.isSignalEnabled("fonts"))
-        this.components.fonts = this.getFonts();
-      if (this.isSignalEnabled("hardwareConcurrency"))
-        this.components.hardwareConcurrency = this.getHardwareConcurrency();
-      if (this.isSignalEnabled("deviceMemory"))
-        this.components.deviceMemory = this.getDeviceMemory();
-      if (this.isSignalEnabled("cookieEnabled"))
-        this.components.cookieEnabled = this.getCookieEnabled();
-      if (this.isSignalEnabled("mediaPreferences"))
-        this.components.mediaPreferences = this.getMediaPreferences();
-      if (this.isSignalEnabled("localeInfo"))
-        this.components.localeInfo = this.getLocaleInfo();
-      if (this.isSignalEnabled("screenOrientation"))
-        this.components.screenOrientation = this.getScreenOrientation();
-      if (this.isSignalEnabled("pointerInfo"))
-        this.components.pointerInfo = this.getPointerInfo();
-      if (this.isSignalEnabled("mathFingerprint"))
-        this.components.mathFingerprint = this.getMathFingerprint();
-      if (this.isSignalEnabled("mediaSupport"))
-        this.components.mediaSupport = this.getMediaSupport();
-      if (this.isSignalEnabled("extendedWebGL"))
-        this.components.extendedWebGL = this.getExtendedWebGLInfo();
-      if (this.isSignalEnabled("networkInfo"))
-        this.components.networkInfo = this.getNetworkInfo();
-      if (this.isSignalEnabled("gamepads"))
-        this.components.gamepads = this.getGamepads();
-
-      // Asynchronous signals
-      if (this.isSignalEnabled("canvas")) {
-        signalPromises.push(
-          this.getCanvasFingerprint().then((r) => {
-            this.components.canvas = r;
-          }),
-        );
-      }
-      if (this.isSignalEnabled("audio")) {
-        signalPromises.push(
-          this.getAudioFingerprint().then((r) => {
-            this.components.audio = r;
-          }),
-        );
-      }
-      if (this.isSignalEnabled("batteryInfo")) {
-        signalPromises.push(
-          this.getBatteryInfo().then((r) => {
-            this.components.batteryInfo = r;
-          }),
-        );
-      }
-      if (this.isSignalEnabled("mediaDevices")) {
-        signalPromises.push(
-          this.getMediaDevices().then((r) => {
-            this.components.mediaDevices = r;
-          }),
-        );
-      }
-      if (this.isSignalEnabled("performanceMetrics")) {
-        signalPromises.push(
-          this.getPerformanceMetrics().then((r) => {
-            this.components.performanceMetrics = r;
-          }),
-        );
-      }
-      if (this.isSignalEnabled("permissions")) {
-        signalPromises.push(
-          this.getPermissions().then((r) => {
-            this.components.permissions = r;
-          }),
-        );
+      const cleanup = () => {
+        clearTimeout(timer);
+        if (abortSignal) {
+          abortSignal.removeEventListener("abort", onAbort);
+        }
+      };
+
+      if (abortSignal) {
+        if (abortSignal.aborted) {
+          reject(abortError(abortSignal));
+          return;
+        }
+        abortSignal.addEventListener("abort", onAbort);
       }
-      if (this.isSignalEnabled("speechVoices")) {
-        signalPromises.push(
-          this.getSpeechVoices().then((r) => {
-            this.components.speechVoices = r;
-          }),
-        );
+
+      if (ms > 0) {
+        timer = setTimeout(() => {
+          cleanup();
+          resolve(TIMED_OUT);
+        }, ms);
       }
 
-      // Wait for all async signals
-      await Promise.all(signalPromises);
-    }
+      promise.then(
+        (value) => {
+          cleanup();
+          resolve(value);
+        },
+        (error) => {
+          cleanup();
+          reject(error);
+        },
+      );
+    });
+  }
 
-    /**
-     * Compute hash from components
-     */
-    async computeHash() {
-      // Sort keys to ensure consistent ordering regardless of async completion order
-      const sortedComponents = {};
-      Object.keys(this.components)
-        .sort()
-        .forEach((key) => {
-          sortedComponents[key] = this.components[key];
-        });
+  /**
+   * Canvas sub-scenes, each rendered and hashed separately
+   */
+  const CANVAS_SCENES = {
+    // Font rasterization and anti-aliasing
+    text: {
+      width: 240,
+      height: 60,
+      draw(ctx) {
+        ctx.textBaseline = "alphabetic";
+        ctx.fillStyle = "#f60";
+        ctx.fillRect(125, 1, 62, 20);
+        ctx.fillStyle = "#069";
+        ctx.font = '14px "Arial"';
+        ctx.fillText("DevicePrint, Cwm fjordbank glyphs vext quiz", 2, 15);
+        ctx.fillStyle = "rgba(102, 204, 0, 0.7)";
+        ctx.font = '18px "Times New Roman"';
+        ctx.fillText("DevicePrint, Cwm fjordbank glyphs vext quiz", 4, 45);
+      },
+    },
 
-      const componentString = JSON.stringify(sortedComponents);
+    // Emoji fonts differ widely between OS versions
+    emoji: {
+      width: 160,
+      height: 50,
+      draw(ctx) {
+        ctx.textBaseline = "top";
+        ctx.font = "32px sans-serif";
+        ctx.fillText("🌐😃🦄👨‍👩‍👧", 4, 4);
+      },
+    },
 
-      // Use SubtleCrypto if available
-      if (window.crypto && window.crypto.subtle) {
-        try {
-          const encoder = new TextEncoder();
-          const data = encoder.encode(componentString);
-          const hashBuffer = await window.crypto.subtle.digest("SHA-256", data);
-          const hashArray = Array.from(new Uint8Array(hashBuffer));
-          return hashArray.map((b) => b.toString(16).padStart(2, "0")).join("");
-        } catch (e) {
-          // Fallback to simple hash
-          return this.simpleHash(componentString);
+    // Gradient interpolation and blend modes
+    gradient: {
+      width: 120,
+      height: 120,
+      draw(ctx) {
+        const linear = ctx.createLinearGradient(0, 0, 120, 120);
+        linear.addColorStop(0, "#ff0080");
+        linear.addColorStop(0.5, "#00ffd5");
+        linear.addColorStop(1, "#3300ff");
+        ctx.fillStyle = linear;
+        ctx.fillRect(0, 0, 120, 120);
+
+        ctx.globalCompositeOperation = "multiply";
+        const colors = ["#f2f", "#2ff", "#ff2"];
+        for (let i = 0; i < colors.length; i++) {
+          const radial = ctx.createRadialGradient(
+            40 + i * 20,
+            40 + i * 15,
+            5,
+            60,
+            60,
+            60,
+          );
+          radial.addColorStop(0, colors[i]);
+          radial.addColorStop(1, "rgba(255, 255, 255, 0)");
+          ctx.fillStyle = radial;
+          ctx.beginPath();
+          ctx.arc(40 + i * 20, 40 + i * 15, 40, 0, Math.PI * 2, true);
+          ctx.closePath();
+          ctx.fill();
         }
-      }
+      },
+    },
 
-      return this.simpleHash(componentString);
-    }
+    // Even-odd vs non-zero winding and arc tessellation
+    winding: {
+      width: 100,
+      height: 100,
+      draw(ctx) {
+        ctx.fillStyle = "#069";
+        ctx.beginPath();
+        ctx.arc(50, 50, 45, 0, Math.PI * 2, true);
+        ctx.arc(50, 50, 20, 0, Math.PI * 2, true);
+        ctx.fill("evenodd");
 
-    /**
-     * Simple hash function fallback
-     */
-    simpleHash(str) {
-      let hash = 0;
-      for (let i = 0; i < str.length; i++) {
-        const char = str.charCodeAt(i);
-        hash = (hash << 5) - hash + char;
-        hash = hash & hash;
-      }
-      return Math.abs(hash).toString(16);
-    }
+        ctx.fillStyle = "rgba(255, 102, 0, 0.6)";
+        ctx.beginPath();
+        ctx.rect(10, 10, 40, 40);
+        ctx.rect(20, 20, 20, 20);
+        ctx.fill("nonzero");
+      },
+    },
+  };
 
-    /**
-     * Get user agent string
-     */
-    getUserAgent() {
-      return navigator.userAgent;
-    }
+  /**
+   * Length in samples of the offline audio render, and of the window that is summed
+   */
+  const AUDIO_RENDER_LENGTH = 5000;
+  const AUDIO_SAMPLE_WINDOW = 500;
 
-    /**
-     * Get browser language
-     */
-    getLanguage() {
-      return (
-        navigator.language ||
-        navigator.userLanguage ||
-        navigator.browserLanguage ||
-        navigator.systemLanguage ||
-        ""
-      );
+  /**
+   * Set an AudioParam, preferring the automation API where available
+   */
+  function setAudioParam(param, value) {
+    if (param && typeof param.setValueAtTime === "function") {
+      param.setValueAtTime(value, 0);
+    } else if (param) {
+      param.value = value;
     }
+  }
 
-    /**
-     * Get color depth
-     */
-    getColorDepth() {
-      return screen.colorDepth || -1;
-    }
+  /**
+   * Render an OfflineAudioContext; older Safari only signals completion via oncomplete
+   */
+  function renderOfflineAudio(context) {
+    return new Promise((resolve, reject) => {
+      context.oncomplete = (event) => resolve(event.renderedBuffer);
+      const rendering = context.startRendering();
+      if (rendering && typeof rendering.then === "function") {
+        rendering.then(resolve, reject);
+      }
+    });
+  }
 
-    /**
-     * Get screen resolution
-     */
-    getScreenResolution() {
-      return [screen.width, screen.height];
-    }
+  /**
+   * Fixed scene for the WebGL render signal: overlapping colour-interpolated
+   * triangles shaded with trigonometry to exercise the GPU's float precision
+   */
+  const WEBGL_SCENE = {
+    size: 64,
+    vertexShader: [
+      "attribute vec2 position;",
+      "attribute vec3 color;",
+      "varying vec3 vColor;",
+      "void main() {",
+      "  vColor = color;",
+      "  gl_Position = vec4(position, 0.0, 1.0);",
+      "}",
+    ].join("\n"),
+    fragmentShader: [
+      "precision mediump float;",
+      "varying vec3 vColor;",
+      "void main() {",
+      "  vec3 shade = sin(vColor * 12.9898 + gl_FragCoord.xyx * 0.0625);",
+      "  gl_FragColor = vec4(shade * 0.5 + 0.5, 1.0);",
+      "}",
+    ].join("\n"),
+    // x, y, r, g, b
+    // prettier-ignore
+    vertices: [
+      -0.9, -0.9, 1, 0, 0,
+      0.9, -0.7, 0, 1, 0,
+      0.1, 0.9, 0, 0, 1,
+      -0.8, 0.6, 1, 1, 0,
+      0.7, 0.8, 0, 1, 1,
+      0.0, -0.8, 1, 0, 1,
+    ],
+  };
 
-    /**
-     * Get available screen resolution
-     */
-    getAvailableScreenResolution() {
-      return [screen.availWidth, screen.availHeight];
-    }
+  /**
+   * WebGL2-only limits collected by the extendedWebGL signal
+   */
+  const WEBGL2_PARAMETERS = [
+    "MAX_3D_TEXTURE_SIZE",
+    "MAX_ARRAY_TEXTURE_LAYERS",
+    "MAX_COLOR_ATTACHMENTS",
+    "MAX_COMBINED_FRAGMENT_UNIFORM_COMPONENTS",
+    "MAX_COMBINED_UNIFORM_BLOCKS",
+    "MAX_COMBINED_VERTEX_UNIFORM_COMPONENTS",
+    "MAX_DRAW_BUFFERS",
+    "MAX_ELEMENT_INDEX",
+    "MAX_ELEMENTS_INDICES",
+    "MAX_ELEMENTS_VERTICES",
+    "MAX_FRAGMENT_INPUT_COMPONENTS",
+    "MAX_FRAGMENT_UNIFORM_BLOCKS",
+    "MAX_FRAGMENT_UNIFORM_COMPONENTS",
+    "MAX_PROGRAM_TEXEL_OFFSET",
+    "MAX_SAMPLES",
+    "MAX_SERVER_WAIT_TIMEOUT",
+    "MAX_TEXTURE_LOD_BIAS",
+    "MAX_TRANSFORM_FEEDBACK_INTERLEAVED_COMPONENTS",
+    "MAX_TRANSFORM_FEEDBACK_SEPARATE_ATTRIBS",
+    "MAX_TRANSFORM_FEEDBACK_SEPARATE_COMPONENTS",
+    "MAX_UNIFORM_BLOCK_SIZE",
+    "MAX_UNIFORM_BUFFER_BINDINGS",
+    "MAX_VARYING_COMPONENTS",
+    "MAX_VERTEX_OUTPUT_COMPONENTS",
+    "MAX_VERTEX_UNIFORM_BLOCKS",
+    "MAX_VERTEX_UNIFORM_COMPONENTS",
+    "MIN_PROGRAM_TEXEL_OFFSET",
+    "UNIFORM_BUFFER_OFFSET_ALIGNMENT",
+  ];
 
-    /**
-     * Get timezone offset
-     */
-    getTimezoneOffset() {
-      return new Date().getTimezoneOffset();
-    }
+  /**
+   * Shader precision types queried with getShaderPrecisionFormat
+   */
+  const SHADER_PRECISION_TYPES = [
+    "LOW_FLOAT",
+    "MEDIUM_FLOAT",
+    "HIGH_FLOAT",
+    "LOW_INT",
+    "MEDIUM_INT",
+    "HIGH_INT",
+  ];
 
-    /**
-     * Get timezone name
-     */
-    getTimezone() {
-      try {
-        return Intl.DateTimeFormat().resolvedOptions().timeZone;
-      } catch (e) {
-        return "";
-      }
-    }
+  /**
+   * Turn a GL constant name into a camelCase key, e.g. MAX_3D_TEXTURE_SIZE -> max3dTextureSize
+   */
+  function constantToCamelCase(name) {
+    return name
+      .toLowerCase()
+      .replace(/_([a-z0-9])/g, (match, char) => char.toUpperCase());
+  }
 
-    /**
-     * Check if session storage is available
-     */
-    hasSessionStorage() {
-      try {
-        return !!window.sessionStorage;
-      } catch (e) {
-        return false;
+  /**
+   * Vertex and fragment shader precision formats as [rangeMin, rangeMax, precision]
+   */
+  function getShaderPrecisions(gl) {
+    const shaders = { vertex: gl.VERTEX_SHADER, fragment: gl.FRAGMENT_SHADER };
+    const result = {};
+
+    for (const shader of Object.keys(shaders)) {
+      result[shader] = {};
+      for (const type of SHADER_PRECISION_TYPES) {
+        const format = gl.getShaderPrecisionFormat(shaders[shader], gl[type]);
+        result[shader][constantToCamelCase(type)] = format
+          ? [format.rangeMin, format.rangeMax, format.precision]
+          : null;
       }
     }
 
-    /**
+    return result;
+  }
+
+  /**
+   * Free a WebGL context early; browsers cap the number of live contexts
+   */
+  function releaseWebGLContext(gl) {
+    const lose = gl.getExtension("WEBGL_lose_context");
+    if (lose) {
+      lose.loseContext();
+    }
+  }
+
+  /**
+   * High-entropy client hints requested when clientHints.highEntropy is set
+   */
+  const HIGH_ENTROPY_HINTS = [
+    "architecture",
+    "bitness",
+    "model",
+    "platformVersion",
+    "fullVersionList",
+  ];
+
+  /**
+   * OS family for each navigator.userAgentData.platform value
+   */
+  const CLIENT_HINT_PLATFORMS = {
+    windows: "windows",
+    macos: "mac",
+    linux: "linux",
+    android: "android",
+    "chrome os": "chromeos",
+    "chromium os": "chromeos",
+    ios: "ios",
+  };
+
+  /**
+   * OS family named by a user agent string, or null when unrecognised
+   */
+  function detectOsFamily(userAgent) {
+    const ua = userAgent.toLowerCase();
+    if (ua.indexOf("windows") >= 0) return "windows";
+    if (ua.indexOf("android") >= 0) return "android";
+    if (/iphone|ipad|ipod/.test(ua)) return "ios";
+    if (ua.indexOf("cros") >= 0) return "chromeos";
+    if (ua.indexOf("mac os x") >= 0 || ua.indexOf("macintosh") >= 0) {
+      return "mac";
+    }
+    if (ua.indexOf("linux") >= 0) return "linux";
+    return null;
+  }
+
+  /**
+   * OS family named by navigator.platform, or null when unrecognised.
+   * Android and Chrome OS report a Linux platform, so both map to "linux".
+   */
+  function detectPlatformFamily(platform) {
+    const p = platform.toLowerCase();
+    if (p.indexOf("win") === 0) return "windows";
+    if (p.indexOf("mac") === 0) return "mac";
+    if (/iphone|ipad|ipod/.test(p)) return "ios";
+    if (p.indexOf("linux") === 0 || p.indexOf("android") === 0) return "linux";
+    return null;
+  }
+
+  /**
+   * User agent OS families that can report each navigator.platform family
+   */
+  const PLATFORM_OS_FAMILIES = {
+    windows: ["windows"],
+    mac: ["mac", "ios"],
+    ios: ["ios"],
+    linux: ["linux", "android", "chromeos"],
+  };
+
+  /**
+   * Fonts probed by getFonts(), grouped by the OS or software that installs them.
+   * The OS groups are also used to guess the OS family from the detected fonts.
+   */
+  const FONT_LISTS = {
+    // Windows
+    windows: [
+      "Arial",
+      "Arial Black",
+      "Arial Narrow",
+      "Bahnschrift",
+      "Calibri",
+      "Calibri Light",
+      "Cambria",
+      "Cambria Math",
+      "Candara",
+      "Cascadia Code",
+      "Cascadia Mono",
+      "Comic Sans MS",
+      "Consolas",
+      "Constantia",
+      "Corbel",
+      "Courier New",
+      "Ebrima",
+      "Franklin Gothic Medium",
+      "Gabriola",
+      "Gadugi",
+      "Georgia",
+      "HoloLens MDL2 Assets",
+      "Impact",
+      "Ink Free",
+      "Javanese Text",
+      "Leelawadee UI",
+      "Lucida Console",
+      "Lucida Sans Unicode",
+      "Malgun Gothic",
+      "Marlett",
+      "Microsoft Himalaya",
+      "Microsoft JhengHei",
+      "Microsoft New Tai Lue",
+      "Microsoft PhagsPa",
+      "Microsoft Sans Serif",
+      "Microsoft Tai Le",
+      "Microsoft YaHei",
+      "Microsoft Yi Baiti",
+      "MingLiU-ExtB",
+      "Mongolian Baiti",
+      "MS Gothic",
+      "MS PGothic",
+      "MS UI Gothic",
+      "MV Boli",
+      "Myanmar Text",
+      "Nirmala UI",
+      "Palatino Linotype",
+      "Segoe Fluent Icons",
+      "Segoe MDL2 Assets",
+      "Segoe Print",
+      "Segoe Script",
+      "Segoe UI",
+      "Segoe UI Emoji",
+      "Segoe UI Historic",
+      "Segoe UI Symbol",
+      "Segoe UI Variable",
+      "SimSun",
+      "SimSun-ExtB",
+      "Sitka Text",
+      "Sylfaen",
+      "Tahoma",
+      "Times New Roman",
+      "Trebuchet MS",
+      "Verdana",
+      "Webdings",
+      "Wingdings",
+      "Yu Gothic",
+      "Yu Gothic UI",
+      "Aldhabi",
+      "Andalus",
+      "Angsana New",
+      "Aparajita",
+      "Arabic Typesetting",
+      "Browallia New",
+      "Cordia New",
+      "DaunPenh",
+      "David",
+      "DFKai-SB",
+      "DokChampa",
+      "Dotum",
+      "Estrangelo Edessa",
+      "Euphemia",
+      "FangSong",
+      "FrankRuehl",
+      "Gautami",
+      "Gisha",
+      "Gulim",
+      "Gungsuh",
+      "Iskoola Pota",
+      "KaiTi",
+      "Kalinga",
+      "Kartika",
+      "Khmer UI",
+      "Kokila",
+      "Lao UI",
+      "Latha",
+      "Leelawadee",
+      "Levenim MT",
+      "Mangal",
+      "Meiryo",
+      "Meiryo UI",
+      "Miriam",
+      "MoolBoran",
+      "MS Mincho",
+      "MS PMincho",
+      "Narkisim",
+      "Nyala",
+      "Plantagenet Cherokee",
+      "Raavi",
+      "Rod",
+      "Sakkal Majalla",
+      "Shonar Bangla",
+      "Shruti",
+      "SimHei",
+      "Simplified Arabic",
+      "Traditional Arabic",
+      "Tunga",
+      "Urdu Typesetting",
+      "Utsaah",
+      "Vani",
+      "Vijaya",
+      "Vrinda",
+    ],
+    // macOS
+    mac: [
+      "American Typewriter",
+      "Andale Mono",
+      "Apple Chancery",
+      "Apple Color Emoji",
+      "Apple SD Gothic Neo",
+      "Apple Symbols",
+      "AppleGothic",
+      "AppleMyungjo",
+      "Arial Hebrew",
+      "Arial Rounded MT Bold",
+      "Avenir",
+      "Avenir Next",
+      "Avenir Next Condensed",
+      "Ayuthaya",
+      "Baskerville",
+      "Big Caslon",
+      "Bodoni 72",
+      "Bodoni 72 Oldstyle",
+      "Bodoni 72 Smallcaps",
+      "Bradley Hand",
+      "Chalkboard",
+      "Chalkboard SE",
+      "Chalkduster",
+      "Charter",
+      "Cochin",
+      "Copperplate",
+      "Corsiva Hebrew",
+      "Damascus",
+      "DecoType Naskh",
+      "Devanagari MT",
+      "Didot",
+      "DIN Alternate",
+      "DIN Condensed",
+      "Euphemia UCAS",
+      "Futura",
+      "Geeza Pro",
+      "Geneva",
+      "Gill Sans",
+      "Gujarati MT",
+      "Gurmukhi MN",
+      "Heiti SC",
+      "Heiti TC",
+      "Helvetica",
+      "Helvetica Neue",
+      "Herculanum",
+      "Hiragino Kaku Gothic ProN",
+      "Hiragino Maru Gothic ProN",
+      "Hiragino Mincho ProN",
+      "Hiragino Sans",
+      "Hoefler Text",
+      "Kailasa",
+      "Kefa",
+      "Khmer Sangam MN",
+      "Kohinoor Bangla",
+      "Kohinoor Devanagari",
+      "Krungthep",
+      "Lao Sangam MN",
+      "Lucida Grande",
+      "Luminari",
+      "Marker Felt",
+      "Menlo",
+      "Monaco",
+      "Mshtakan",
+      "Muna",
+      "Nadeem",
+      "New Peninsula",
+      "Noteworthy",
+      "Optima",
+      "Oriya Sangam MN",
+      "Papyrus",
+      "Phosphate",
+      "PingFang HK",
+      "PingFang SC",
+      "PingFang TC",
+      "PT Mono",
+      "PT Sans",
+      "PT Serif",
+      "Raanana",
+      "Sana",
+      "Sathu",
+      "Savoye LET",
+      "SF Compact",
+      "SF Mono",
+      "SF Pro",
+      "Shree Devanagari 714",
+      "SignPainter",
+      "Silom",
+      "Sinhala Sangam MN",
+      "Skia",
+      "Snell Roundhand",
+      "Songti SC",
+      "STIXGeneral",
+      "Sukhumvit Set",
+      "Tamil Sangam MN",
+      "Telugu Sangam MN",
+      "Thonburi",
+      "Trattatello",
+      "Waseem",
+      "Zapfino",
+      "Zapf Dingbats",
+      "Kannada Sangam MN",
+      "Malayalam Sangam MN",
+      "Myanmar Sangam MN",
+      "Bangla Sangam MN",
+      "Farah",
+      "Diwan Kufi",
+      "Al Bayan",
+      "Al Nile",
+      "Al Tarikh",
+      "Baghdad",
+      "Beirut",
+      "Farisi",
+      "Mishafi",
+      "Osaka",
+      "STSong",
+      "Tsukushi A Round Gothic",
+      "Toppan Bunkyu Gothic",
+      "YuGothic",
+      "YuMincho",
+    ],
+    // Linux
+    linux: [
+      "DejaVu Sans",
+      "DejaVu Sans Mono",
+      "DejaVu Serif",
+      "Liberation Mono",
+      "Liberation Sans",
+      "Liberation Sans Narrow",
+      "Liberation Serif",
+      "Ubuntu",
+      "Ubuntu Condensed",
+      "Ubuntu Mono",
+      "Cantarell",
+      "Noto Sans",
+      "Noto Serif",
+      "Noto Mono",
+      "Noto Color Emoji",
+      "Noto Sans CJK SC",
+      "Noto Sans CJK JP",
+      "Droid Sans",
+      "Droid Sans Mono",
+      "Droid Serif",
+      "FreeMono",
+      "FreeSans",
+      "FreeSerif",
+      "Bitstream Vera Sans",
+      "Bitstream Vera Sans Mono",
+      "Bitstream Vera Serif",
+      "Nimbus Sans",
+      "Nimbus Roman",
+      "Nimbus Mono PS",
+      "URW Bookman",
+      "URW Gothic",
+      "P052",
+      "C059",
+      "Z003",
+      "Century Schoolbook L",
+      "Oxygen",
+      "Oxygen Mono",
+      "Fira Sans",
+      "Fira Mono",
+      "Hack",
+      "Inconsolata",
+      "Source Code Pro",
+      "Open Sans",
+      "Lato",
+      "Carlito",
+      "Caladea",
+      "Gentium",
+      "Linux Libertine O",
+      "Linux Biolinum O",
+      "WenQuanYi Micro Hei",
+      "WenQuanYi Zen Hei",
+      "Abyssinica SIL",
+      "Padauk",
+      "Khmer OS",
+      "Mukti Narrow",
+      "Tlwg Typo",
+      "Kinnari",
+      "Garuda",
+      "Loma",
+      "Purisa",
+      "Umpush",
+      "Waree",
+      "Norasi",
+      "Sawasdee",
+      "KacstOne",
+      "Samyak Devanagari",
+      "Rachana",
+      "Meera",
+      "Likhan",
+      "Pothana2000",
+      "Vemana2000",
+      "Kalimati",
+      "Suruma",
+      "Dyuthi",
+      "Karumbi",
+      "Keraleeyam",
+      "Uroob",
+      "Manjari",
+      "Chilanka",
+      "Gargi",
+      "Nakula",
+      "Sahadeva",
+      "Navilu",
+      "Lohit Devanagari",
+      "Lohit Bengali",
+      "Lohit Gujarati",
+      "Lohit Tamil",
+      "Lohit Telugu",
+      "Lohit Kannada",
+      "Lohit Malayalam",
+      "Lohit Odia",
+      "Lohit Gurmukhi",
+      "Lohit Assamese",
+    ],
+    // Android
+    android: [
+      "Roboto",
+      "Roboto Condensed",
+      "Roboto Mono",
+      "Roboto Slab",
+      "Roboto Flex",
+      "Google Sans",
+      "Product Sans",
+      "Noto Sans Symbols",
+      "Noto Naskh Arabic",
+      "Noto Sans Devanagari",
+      "Noto Sans Hebrew",
+      "Noto Sans Thai",
+      "Noto Sans Bengali",
+      "Noto Sans Tamil",
+      "Noto Sans Telugu",
+      "Noto Serif CJK SC",
+      "Carrois Gothic SC",
+      "Coming Soon",
+      "Cutive Mono",
+      "Dancing Script",
+      "SamsungOne",
+      "Samsung Sans",
+      "SECRobotoLight",
+      "OnePlus Slate",
+      "MiSans",
+      "HarmonyOS Sans",
+      "OPPOSans",
+      "vivo Sans",
+    ],
+    // Microsoft Office
+    office: [
+      "Agency FB",
+      "Algerian",
+      "Aptos",
+      "Baskerville Old Face",
+      "Bauhaus 93",
+      "Bell MT",
+      "Berlin Sans FB",
+      "Bernard MT Condensed",
+      "Bierstadt",
+      "Blackadder ITC",
+      "Bodoni MT",
+      "Book Antiqua",
+      "Bookman Old Style",
+      "Bookshelf Symbol 7",
+      "Bradley Hand ITC",
+      "Britannic Bold",
+      "Broadway",
+      "Brush Script MT",
+      "Californian FB",
+      "Calisto MT",
+      "Castellar",
+      "Centaur",
+      "Century",
+      "Century Gothic",
+      "Chiller",
+      "Colonna MT",
+      "Cooper Black",
+      "Copperplate Gothic Bold",
+      "Curlz MT",
+      "Edwardian Script ITC",
+      "Elephant",
+      "Engravers MT",
+      "Felix Titling",
+      "Footlight MT Light",
+      "Forte",
+      "Franklin Gothic Book",
+      "Freestyle Script",
+      "French Script MT",
+      "Garamond",
+      "Gigi",
+      "Gill Sans MT",
+      "Gloucester MT Extra Condensed",
+      "Goudy Old Style",
+      "Grandview",
+      "Haettenschweiler",
+      "Harlow Solid Italic",
+      "Harrington",
+      "High Tower Text",
+      "Imprint MT Shadow",
+      "Informal Roman",
+      "Jokerman",
+      "Juice ITC",
+      "Kristen ITC",
+      "Kunstler Script",
+      "Lucida Bright",
+      "Lucida Calligraphy",
+      "Lucida Fax",
+      "Lucida Handwriting",
+      "Magneto",
+      "Maiandra GD",
+      "Matura MT Script Capitals",
+      "Mistral",
+      "Modern No. 20",
+      "Monotype Corsiva",
+      "MS Outlook",
+      "MS Reference Sans Serif",
+      "MS Reference Specialty",
+      "Niagara Engraved",
+      "Old English Text MT",
+      "Onyx",
+      "Palace Script MT",
+      "Parchment",
+      "Perpetua",
+      "Playbill",
+      "Poor Richard",
+      "Pristina",
+      "Rage Italic",
+      "Ravie",
+      "Rockwell",
+      "Script MT Bold",
+      "Seaford",
+      "Showcard Gothic",
+      "Skeena",
+      "Snap ITC",
+      "Stencil",
+      "Tempus Sans ITC",
+      "Tenorite",
+      "Tw Cen MT",
+      "Viner Hand ITC",
+      "Vivaldi",
+      "Vladimir Script",
+      "Wide Latin",
+      "Wingdings 2",
+      "Wingdings 3",
+    ],
+    // Adobe Creative Cloud
+    adobe: [
+      "Acumin Pro",
+      "Adobe Arabic",
+      "Adobe Caslon Pro",
+      "Adobe Devanagari",
+      "Adobe Fan Heiti Std",
+      "Adobe Fangsong Std",
+      "Adobe Garamond Pro",
+      "Adobe Gothic Std",
+      "Adobe Hebrew",
+      "Adobe Heiti Std",
+      "Adobe Kaiti Std",
+      "Adobe Ming Std",
+      "Adobe Myungjo Std",
+      "Adobe Song Std",
+      "Birch Std",
+      "Blackoak Std",
+      "Brush Script Std",
+      "Chaparral Pro",
+      "Charlemagne Std",
+      "Cooper Std Black",
+      "Giddyup Std",
+      "Hobo Std",
+      "Kozuka Gothic Pro",
+      "Kozuka Mincho Pro",
+      "Letter Gothic Std",
+      "Lithos Pro",
+      "Mesquite Std",
+      "Minion Pro",
+      "Myriad Pro",
+      "Myriad Arabic",
+      "Myriad Hebrew",
+      "Nueva Std",
+      "OCR A Std",
+      "Orator Std",
+      "Poplar Std",
+      "Prestige Elite Std",
+      "Rosewood Std",
+      "Source Sans Pro",
+      "Source Serif Pro",
+      "Stencil Std",
+      "Tekton Pro",
+      "Trajan Pro",
+    ],
+  };
+
+  /**
+   * FONT_LISTS groups that name an OS family
+   */
+  const FONT_OS_FAMILIES = ["windows", "mac", "linux", "android"];
+
+  /**
+   * Generic families a probed font falls back to; a font is installed when it
+   * changes the text width for at least one of them
+   */
+  const FONT_BASE_FAMILIES = ["monospace", "sans-serif", "serif"];
+  const FONT_TEST_STRING = "mmmmmmmmmmlli";
+  const FONT_TEST_SIZE = "72px";
+
+  /**
+   * Number of fonts measured together as one fallback list
+   */
+  const FONT_BATCH_SIZE = 32;
+
+  /**
+   * Fonts getFonts() probes for the given fonts options: the list (every
+   * FONT_LISTS group by default) plus extraFonts, without duplicates
+   */
+  function fontProbeList(fontsOptions) {
+    const builtIn = Object.keys(FONT_LISTS).reduce(
+      (all, group) => all.concat(FONT_LISTS[group]),
+      [],
+    );
+    const fonts = (fontsOptions.list || builtIn).concat(
+      fontsOptions.extraFonts || [],
+    );
+    return Array.from(new Set(fonts));
+  }
+
+  /**
+   * Detect installed fonts by text measurement.
+   * A batch of fonts is measured as a single fallback list: if no font in it is
+   * installed the text keeps the generic family's width and the whole batch is
+   * ruled out with one measurement per base family. Batches that do change the
+   * width are split in half until the installed fonts are isolated.
+   */
+  function detectFonts(ctx, fonts) {
+    const baseWidths = FONT_BASE_FAMILIES.map((base) => {
+      ctx.font = FONT_TEST_SIZE + " " + base;
+      return ctx.measureText(FONT_TEST_STRING).width;
+    });
+
+    const anyInstalled = (batch) => {
+      const families = batch.map((font) => '"' + font + '"').join(", ");
+      return FONT_BASE_FAMILIES.some((base, i) => {
+        ctx.font = FONT_TEST_SIZE + " " + families + ", " + base;
+        return ctx.measureText(FONT_TEST_STRING).width !== baseWidths[i];
+      });
+    };
+
+    const detected = [];
+    const scan = (batch) => {
+      if (!anyInstalled(batch)) return;
+      if (batch.length === 1) {
+        detected.push(batch[0]);
+        return;
+      }
+      const middle = Math.ceil(batch.length / 2);
+      scan(batch.slice(0, middle));
+      scan(batch.slice(middle));
+    };
+
+    for (let i = 0; i < fonts.length; i += FONT_BATCH_SIZE) {
+      scan(fonts.slice(i, i + FONT_BATCH_SIZE));
+    }
+    return detected;
+  }
+
+  /**
+   * OS family whose FONT_LISTS group has the largest share of its fonts detected,
+   * or null when no OS font was detected
+   */
+  function guessFontOsFamily(detected) {
+    let best = null;
+    let bestShare = 0;
+    for (const family of FONT_OS_FAMILIES) {
+      const list = FONT_LISTS[family];
+      const share =
+        list.filter((font) => detected.includes(font)).length / list.length;
+      if (share > bestShare) {
+        best = family;
+        bestShare = share;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Fonts shipped with every install of an OS; detecting none of them while
+   * other fonts are detected means the UA OS is not the real one
+   */
+  const OS_CORE_FONTS = {
+    windows: ["Tahoma", "Verdana", "Trebuchet MS"],
+    mac: ["Geneva", "Helvetica"],
+  };
+
+  /**
+   * Globals injected by automation frameworks (PhantomJS, Nightmare, Selenium, Playwright)
+   */
+  const AUTOMATION_GLOBALS = [
+    "_phantom",
+    "callPhantom",
+    "__nightmare",
+    "domAutomation",
+    "domAutomationController",
+    "_Selenium_IDE_Recorder",
+    "__selenium_unwrapped",
+    "__webdriver_evaluate",
+    "__driver_evaluate",
+    "__webdriver_script_fn",
+    "__fxdriver_unwrapped",
+    "__playwright__binding__",
+    "__pwInitScripts",
+  ];
+
+  /**
+   * ChromeDriver injects "cdc_"-prefixed properties into window and "$cdc_" ones into document
+   */
+  const CHROMEDRIVER_PROPERTY = /^\$?cdc_/;
+
+  /**
+   * WebGL renderers that rasterize on the CPU, as used by headless and virtualized browsers
+   */
+  const SOFTWARE_RENDERERS =
+    /swiftshader|llvmpipe|softpipe|software rasterizer|microsoft basic render/;
+
+  /**
+   * Bot flags that only automation sets; any one of them makes the verdict "bot".
+   * The other flags also occur in real browsers, so it takes two of them for "suspicious".
+   */
+  const STRONG_BOT_FLAGS = [
+    "webdriver",
+    "headlessUserAgent",
+    "automationGlobals",
+  ];
+
+  /**
+   * Values re-read through a hidden iframe by getCrossContextMismatches(),
+   * as (navigator, screen) => value
+   */
+  const CROSS_CONTEXT_PROPERTIES = {
+    userAgent: (nav) => nav.userAgent,
+    platform: (nav) => nav.platform,
+    languages: (nav) => nav.languages,
+    hardwareConcurrency: (nav) => nav.hardwareConcurrency,
+    screenResolution: (nav, scr) => [scr.width, scr.height],
+    colorDepth: (nav, scr) => scr.colorDepth,
+  };
+
+  /**
+   * Severity levels of consistency rules, lowest first
+   */
+  const CONSISTENCY_SEVERITIES = ["low", "medium", "high"];
+
+  /**
+   * Registered consistency rules, keyed by rule name
+   */
+  const CONSISTENCY_RULES = {};
+
+  /**
+   * Offset in minutes (as returned by Date#getTimezoneOffset) of an IANA time zone at a given date
+   */
+  function timeZoneOffset(timeZone, date) {
+    const parts = {};
+    const format = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+    });
+    for (const part of format.formatToParts(date)) {
+      parts[part.type] = Number(part.value);
+    }
+    const wallClock = Date.UTC(
+      parts.year,
+      parts.month - 1,
+      parts.day,
+      parts.hour,
+      parts.minute,
+      parts.second,
+    );
+    return Math.round(
+      (date.getTime() - date.getMilliseconds() - wallClock) / 60000,
+    );
+  }
+
+  /**
+   * Snapshot of the browser values consistency rules cross-check.
+   * WebGL and font detection are expensive, so they are functions that run on
+   * first use and are shared by every rule in the same check.
+   */
+  function createConsistencyContext(dp) {
+    const userAgent = navigator.userAgent;
+    // Shared by every context of a collection run, so the font scan and the
+    // WebGL probe run at most once per generate()
+    const cache = dp.consistencyCache;
+    const lazy = (key, read) => () => {
+      if (!(key in cache)) cache[key] = read();
+      return cache[key];
+    };
+    // Deferred signals run after the others, so these are usually collected already
+    const collected = (name) => {
+      const value = dp.components[name];
+      return value && typeof value === "object" && !isRandomizedValue(value)
+        ? value
+        : null;
+    };
+
+    return {
+      userAgent,
+      userAgentLower: userAgent.toLowerCase(),
+      osFamily: detectOsFamily(userAgent),
+      platform: navigator.platform || "",
+      oscpu: navigator.oscpu,
+      productSub: navigator.productSub,
+      language: navigator.language,
+      languages: navigator.languages,
+      userAgentData: navigator.userAgentData,
+      maxTouchPoints: navigator.maxTouchPoints,
+      screen: {
+        width: screen.width,
+        height: screen.height,
+        availWidth: screen.availWidth,
+        availHeight: screen.availHeight,
+      },
+      webglRenderer: lazy("webglRenderer", () => {
+        const info = collected("webgl") || dp.getWebGLFingerprint();
+        return info && typeof info.renderer === "string"
+          ? info.renderer.toLowerCase()
+          : null;
+      }),
+      fonts: lazy("fonts", () => collected("fonts") || dp.getFonts()),
+      probedFonts: fontProbeList(dp.fontsOptions),
+    };
+  }
+
+  /**
+   * Number of hex characters kept for per-component hashes
+   */
+  const COMPONENT_HASH_LENGTH = 16;
+
+  /**
+   * Hex encoding of a byte array
+   */
+  function toHex(bytes) {
+    return Array.from(bytes)
+      .map((b) => b.toString(16).padStart(2, "0"))
+      .join("");
+  }
+
+  /**
+   * Bytes of a hex string
+   */
+  function fromHex(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+  }
+
+  /**
+   * Hash algorithms accepted by the hashAlgorithm option
+   */
+  const HASH_ALGORITHMS = ["sha256", "murmur3"];
+
+  /*
+   * 64-bit arithmetic for MurmurHash3 on [high, low] pairs of unsigned 32-bit
+   * ints, since BigInt is not available in every supported browser
+   */
+
+  function add64(a, b) {
+    const low = a[1] + b[1];
+    return [(a[0] + b[0] + Math.floor(low / 0x100000000)) >>> 0, low >>> 0];
+  }
+
+  function multiply64(a, b) {
+    // Low 32 bits times low 32 bits, split into 16-bit halves to stay exact
+    const aHigh = a[1] >>> 16;
+    const aLow = a[1] & 0xffff;
+    const bHigh = b[1] >>> 16;
+    const bLow = b[1] & 0xffff;
+    const middle = aHigh * bLow + aLow * bHigh;
+    const low = aLow * bLow + (middle % 0x10000) * 0x10000;
+    const carry =
+      aHigh * bHigh +
+      Math.floor(middle / 0x10000) +
+      Math.floor(low / 0x100000000);
+    return [
+      (Math.imul(a[0], b[1]) + Math.imul(a[1], b[0]) + carry) >>> 0,
+      low >>> 0,
+    ];
+  }
+
+  function rotateLeft64(a, n) {
+    if (n >= 32) {
+      a = [a[1], a[0]];
+      n -= 32;
+    }
+    if (n === 0) {
+      return a;
+    }
+    return [
+      ((a[0] << n) | (a[1] >>> (32 - n))) >>> 0,
+      ((a[1] << n) | (a[0] >>> (32 - n))) >>> 0,
+    ];
+  }
+
+  function xor64(a, b) {
+    return [(a[0] ^ b[0]) >>> 0, (a[1] ^ b[1]) >>> 0];
+  }
+
+  function finalMix64(h) {
+    h = xor64(h, [0, h[0] >>> 1]);
+    h = multiply64(h, [0xff51afd7, 0xed558ccd]);
+    h = xor64(h, [0, h[0] >>> 1]);
+    h = multiply64(h, [0xc4ceb9fe, 0x1a85ec53]);
+    return xor64(h, [0, h[0] >>> 1]);
+  }
+
+  /**
+   * MurmurHash3 x64 128-bit of a string's UTF-8 bytes (seed 0), as 32 hex characters
+   */
+  function murmurHash3(str) {
+    const bytes = new TextEncoder().encode(str);
+    const c1 = [0x87c37b91, 0x114253d5];
+    const c2 = [0x4cf5ad43, 0x2745937f];
+    let h1 = [0, 0];
+    let h2 = [0, 0];
+
+    // Little-endian 64-bit word from up to 8 bytes
+    const readWord = (offset, length) => {
+      const word = [0, 0];
+      for (let i = 0; i < length; i++) {
+        word[i < 4 ? 1 : 0] |= bytes[offset + i] << (8 * (i % 4));
+      }
+      return [word[0] >>> 0, word[1] >>> 0];
+    };
+    const mixK1 = (k) => multiply64(rotateLeft64(multiply64(k, c1), 31), c2);
+    const mixK2 = (k) => multiply64(rotateLeft64(multiply64(k, c2), 33), c1);
+
+    const blocks = bytes.length - (bytes.length % 16);
+    for (let i = 0; i < blocks; i += 16) {
+      h1 = xor64(h1, mixK1(readWord(i, 8)));
+      h1 = add64(rotateLeft64(h1, 27), h2);
+      h1 = add64(multiply64(h1, [0, 5]), [0, 0x52dce729]);
+      h2 = xor64(h2, mixK2(readWord(i + 8, 8)));
+      h2 = add64(rotateLeft64(h2, 31), h1);
+      h2 = add64(multiply64(h2, [0, 5]), [0, 0x38495ab5]);
+    }
+
+    const tail = bytes.length - blocks;
+    if (tail > 8) {
+      h2 = xor64(h2, mixK2(readWord(blocks + 8, tail - 8)));
+    }
+    if (tail > 0) {
+      h1 = xor64(h1, mixK1(readWord(blocks, Math.min(tail, 8))));
+    }
+
+    h1 = xor64(h1, [0, bytes.length]);
+    h2 = xor64(h2, [0, bytes.length]);
+    h1 = add64(h1, h2);
+    h2 = add64(h2, h1);
+    h1 = finalMix64(h1);
+    h2 = finalMix64(h2);
+    h1 = add64(h1, h2);
+    h2 = add64(h2, h1);
+
+    return h1
+      .concat(h2)
+      .map((n) => n.toString(16).padStart(8, "0"))
+      .join("");
+  }
+
+  /**
+   * Whether a component value records a failed collection rather than device data
+   */
+  function isFailedValue(value) {
+    return value === TIMEOUT_VALUE || value === ERROR_VALUE;
+  }
+
+  /**
+   * Whether a component value was flagged as randomized by anti-fingerprinting
+   */
+  function isRandomizedValue(value) {
+    return !!value && typeof value === "object" && value.randomized === true;
+  }
+
+  /**
+   * Bytes per String.fromCharCode call in pixelsToString, below engine argument limits
+   */
+  const PIXEL_CHUNK_SIZE = 8192;
+
+  /**
+   * RGBA pixel data of a 2D canvas
+   */
+  function readPixels(canvas) {
+    return canvas
+      .getContext("2d")
+      .getImageData(0, 0, canvas.width, canvas.height).data;
+  }
+
+  /**
+   * Compare the pixel data of two same-sized canvases
+   */
+  function samePixels(a, b) {
+    if (a.length !== b.length) {
+      return false;
+    }
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] !== b[i]) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Pixel data as a string for hashString. Unlike PNG data URLs, pixels do
+   * not depend on the encoder, so a <canvas> and an OffscreenCanvas in the
+   * worker give the same hash.
+   */
+  function pixelsToString(pixels) {
+    let str = "";
+    for (let i = 0; i < pixels.length; i += PIXEL_CHUNK_SIZE) {
+      str += String.fromCharCode.apply(
+        null,
+        pixels.subarray(i, i + PIXEL_CHUNK_SIZE),
+      );
+    }
+    return str;
+  }
+
+  /**
+   * Create a canvas: a <canvas> element on the page, an OffscreenCanvas in workers
+   * @returns {HTMLCanvasElement|OffscreenCanvas|null} null when neither is available
+   */
+  function createCanvas(width, height) {
+    if (typeof document !== "undefined") {
+      const canvas = document.createElement("canvas");
+      if (width && height) {
+        canvas.width = width;
+        canvas.height = height;
+      }
+      return canvas;
+    }
+    if (typeof OffscreenCanvas !== "undefined") {
+      return new OffscreenCanvas(width || 300, height || 150);
+    }
+    return null;
+  }
+
+  /**
+   * PNG data URL of a canvas. OffscreenCanvas has no toDataURL, so in workers
+   * the PNG blob is read back instead.
+   */
+  async function canvasToDataURL(canvas) {
+    if (canvas.toDataURL) {
+      return canvas.toDataURL();
+    }
+    const blob = await canvas.convertToBlob();
+    return new FileReaderSync().readAsDataURL(blob);
+  }
+
+  /**
+   * Entry point of the collection worker. It is serialized into a Blob, so it
+   * must not use anything from this module's scope.
+   */
+  function workerMain(scope) {
+    scope.onmessage = (event) => {
+      // Collectors read globals through window, which workers call self
+      scope.window = scope;
+      scope.importScripts(event.data.url);
+      const devicePrint = new scope.DevicePrint(event.data.options);
+      devicePrint.collectComponents().then(() => {
+        scope.postMessage({
+          components: devicePrint.components,
+          diagnostics: devicePrint.diagnostics,
+        });
+      });
+    };
+  }
+
+  /**
+   * JSON.stringify with object keys sorted at every level
+   */
+  function stableStringify(value) {
+    if (Array.isArray(value)) {
+      return "[" + value.map(stableStringify).join(",") + "]";
+    }
+    if (value && typeof value === "object") {
+      return (
+        "{" +
+        Object.keys(value)
+          .sort()
+          .map((key) => JSON.stringify(key) + ":" + stableStringify(value[key]))
+          .join(",") +
+        "}"
+      );
+    }
+    return JSON.stringify(value) === undefined ? "null" : JSON.stringify(value);
+  }
+
+  /**
+   * Similarity of two component values between 0 (different) and 1 (identical).
+   * Arrays use Jaccard overlap, objects average their fields and strings compare
+   * tokens, so a version bump inside a user agent only lowers the score slightly.
+   */
+  function valueSimilarity(a, b) {
+    if (stableStringify(a) === stableStringify(b)) {
+      return 1;
+    }
+
+    if (Array.isArray(a) && Array.isArray(b)) {
+      return jaccard(a.map(stableStringify), b.map(stableStringify));
+    }
+
+    if (
+      a &&
+      b &&
+      typeof a === "object" &&
+      typeof b === "object" &&
+      !Array.isArray(a) &&
+      !Array.isArray(b)
+    ) {
+      const keys = Object.keys(a);
+      for (const key of Object.keys(b)) {
+        if (!keys.includes(key)) keys.push(key);
+      }
+      let total = 0;
+      for (const key of keys) {
+        total += key in a && key in b ? valueSimilarity(a[key], b[key]) : 0;
+      }
+      return total / keys.length;
+    }
+
+    if (typeof a === "string" && typeof b === "string") {
+      return jaccard(a.split(/[\s/;(),]+/), b.split(/[\s/;(),]+/));
+    }
+
+    return 0;
+  }
+
+  /**
+   * Jaccard index of two lists treated as sets
+   */
+  function jaccard(listA, listB) {
+    const setA = new Set(listA);
+    const setB = new Set(listB);
+    if (setA.size === 0 && setB.size === 0) {
+      return 1;
+    }
+    let intersection = 0;
+    for (const item of setA) {
+      if (setB.has(item)) intersection++;
+    }
+    return intersection / (setA.size + setB.size - intersection);
+  }
+
+  /**
+   * Main DevicePrint class
+   */
+  class DevicePrint {
+    /**
+     * @param {Object} options - Configuration options
+     * @param {String|Array} options.signals - Preset name ('DEFAULT', 'EXTENDED', 'FULL') or array of signal names
+     * @param {Object} options.exclude - Signals to exclude from the preset
+     * @param {Number} options.timeout - Default timeout in ms for async signals
+     * @param {Object} options.timeouts - Per-signal timeouts in ms, e.g. { audio: 500 }
+     * @param {Boolean} options.componentHashes - Also return a short hash per component
+     * @param {Object} options.canvas - Canvas signal options; { debug: true } also returns the rendered data URLs
+     * @param {Object} options.clientHints - Client hints options; { highEntropy: true } also requests getHighEntropyValues
+     * @param {Object} options.fonts - Font options; { list } replaces the built-in font list, { extraFonts } adds to it
+     * @param {Boolean|String} options.cache - Reuse collected values: true or 'memory' for this page, 'sessionStorage' to also survive reloads
+     * @param {Object} options.cacheTtl - Per-signal cache lifetimes in ms, e.g. { fonts: 86400000 }; 0 disables caching
+     * @param {String} options.hashAlgorithm - 'sha256' (default; MurmurHash3 without crypto.subtle) or 'murmur3' for the same hash on every origin
+     * @param {Boolean|Object} options.worker - Collect worker-capable signals in a Web Worker: true, or { url, timeout } where url is a standalone copy of this script
+     */
+    constructor(options = {}) {
+      this.components = {};
+      this.diagnostics = {};
+
+      // Determine which signals to collect
+      if (Array.isArray(options.signals)) {
+        this.enabledSignals = options.signals;
+      } else if (
+        typeof options.signals === "string" &&
+        SIGNAL_PRESETS[options.signals.toUpperCase()]
+      ) {
+        this.enabledSignals = SIGNAL_PRESETS[options.signals.toUpperCase()];
+      } else {
+        this.enabledSignals = SIGNAL_PRESETS.DEFAULT;
+      }
+
+      // Apply exclusions
+      if (options.exclude && Array.isArray(options.exclude)) {
+        this.enabledSignals = this.enabledSignals.filter(
+          (s) => !options.exclude.includes(s),
+        );
+      }
+
+      this.timeout = options.timeout;
+      this.timeouts = options.timeouts || {};
+      this.componentHashes = !!options.componentHashes;
+      this.canvasOptions = options.canvas || {};
+      this.clientHintsOptions = options.clientHints || {};
+      this.fontsOptions = options.fonts || {};
+      this.cache = options.cache === true ? "memory" : options.cache || false;
+      this.cacheTtl = options.cacheTtl || {};
+      this.hashAlgorithm = options.hashAlgorithm || "sha256";
+      if (!HASH_ALGORITHMS.includes(this.hashAlgorithm)) {
+        throw new TypeError(`Unknown hash algorithm "${this.hashAlgorithm}"`);
+      }
+      this.workerOptions =
+        options.worker === true ? {} : options.worker || null;
+      this.workerReport = null;
+      this.consistencyCache = {};
+    }
+
+    /**
+     * Generate a complete device fingerprint
+     * @param {Object} options - Generation options
+     * @param {AbortSignal} options.signal - Aborts collection; generate() then rejects with the abort reason
+     * @returns {Promise<object>} Device fingerprint components and hash
+     */
+    async generate(options = {}) {
+      await this.collectComponents(options);
+      const hash = await this.computeHash();
+      const signalVersions = {};
+      for (const name of Object.keys(this.components)) {
+        signalVersions[name] = getSignal(name).version;
+      }
+
+      const result = {
+        components: this.components,
+        fingerprint: hash,
+        schemaVersion: SCHEMA_VERSION,
+        signalVersions,
+        signalsUsed: Object.keys(this.components),
+        diagnostics: this.diagnostics,
+        entropy: this.estimateEntropy(),
+      };
+
+      if (this.componentHashes) {
+        result.componentHashes = await this.computeComponentHashes();
+      }
+
+      if (this.workerOptions) {
+        result.worker = this.workerReport;
+      }
+
+      return result;
+    }
+
+    /**
+     * Estimated entropy in bits of the collected components.
+     * Failed, unsupported and randomized signals identify nothing, so they add 0.
+     */
+    estimateEntropy() {
+      const usable = Object.keys(this.diagnostics).filter(
+        (name) =>
+          this.diagnostics[name].status === "ok" &&
+          !this.diagnostics[name].randomized,
+      );
+      return DevicePrint.estimateEntropy(usable).total;
+    }
+
+    /**
+     * Check if a signal is enabled
+     */
+    isSignalEnabled(signalName) {
+      return this.enabledSignals.includes(signalName);
+    }
+
+    /**
+     * Resolve the timeout for a signal: per-signal option, then global option, then the signal's default
+     */
+    getSignalTimeout(signalName) {
+      if (typeof this.timeouts[signalName] === "number") {
+        return this.timeouts[signalName];
+      }
+      if (typeof this.timeout === "number") {
+        return this.timeout;
+      }
+      const signal = getSignal(signalName);
+      return signal ? signal.timeout : undefined;
+    }
+
+    /**
+     * Resolve the cache lifetime for a signal: cacheTtl option, then the signal's default
+     */
+    getSignalCacheTtl(signalName) {
+      if (typeof this.cacheTtl[signalName] === "number") {
+        return this.cacheTtl[signalName];
+      }
+      const signal = getSignal(signalName);
+      return signal ? signal.cacheTtl : 0;
+    }
+
+    /**
+     * Cache key of a signal; includes the signal's options (e.g. canvas, fonts)
+     * and the hash algorithm, which canvas, audio and webglRender hash their
+     * output with, so instances configured differently do not share values
+     */
+    cacheKey(signalName) {
+      const signalOptions = {
+        canvas: this.canvasOptions,
+        clientHints: this.clientHintsOptions,
+        fonts: this.fontsOptions,
+      }[signalName];
+      // The version keeps values cached by an older collector from being reused
+      return (
+        signalName +
+        ":v" +
+        getSignal(signalName).version +
+        ":" +
+        this.hashAlgorithm +
+        ":" +
+        stableStringify(signalOptions || null)
+      );
+    }
+
+    /**
+     * Read a cached signal value
+     * @returns {Object|null} { value } or null when caching is off or nothing fresh is cached
+     */
+    readCache(signalName) {
+      if (!this.cache || !(this.getSignalCacheTtl(signalName) > 0)) {
+        return null;
+      }
+
+      const key = this.cacheKey(signalName);
+      let entry = SIGNAL_CACHE[key];
+      if (!entry && this.cache === "sessionStorage") {
+        // Storage can be disabled or full; the cache is best effort
+        try {
+          const stored = window.sessionStorage.getItem(
+            CACHE_STORAGE_PREFIX + key,
+          );
+          entry = stored ? JSON.parse(stored) : null;
+        } catch (e) {
+          entry = null;
+        }
+        if (entry) SIGNAL_CACHE[key] = entry;
+      }
+
+      if (!entry || entry.expires <= Date.now()) {
+        return null;
+      }
+      return { value: entry.value };
+    }
+
+    /**
+     * Cache a freshly collected signal value
+     */
+    writeCache(signalName, value) {
+      const ttl = this.getSignalCacheTtl(signalName);
+      if (!this.cache || !(ttl > 0)) {
+        return;
+      }
+
+      const key = this.cacheKey(signalName);
+      const entry = { value, expires: Date.now() + ttl };
+      SIGNAL_CACHE[key] = entry;
+      if (this.cache === "sessionStorage") {
+        try {
+          window.sessionStorage.setItem(
+            CACHE_STORAGE_PREFIX + key,
+            JSON.stringify(entry),
+          );
+        } catch (e) {
+          // Keep the in-memory entry
+        }
+      }
+    }
+
+    /**
+     * Drop cached values so the next generate() collects them again
+     * @param {String} signalName - Signal to invalidate; all signals when omitted
+     */
+    invalidate(signalName) {
+      const prefix = signalName ? signalName + ":" : "";
+      for (const key of Object.keys(SIGNAL_CACHE)) {
+        if (key.indexOf(prefix) === 0) delete SIGNAL_CACHE[key];
+      }
+
+      try {
+        const storage = window.sessionStorage;
+        const storageKeys = [];
+        for (let i = 0; i < storage.length; i++) {
+          storageKeys.push(storage.key(i));
+        }
+        for (const key of storageKeys) {
+          if (key.indexOf(CACHE_STORAGE_PREFIX + prefix) === 0) {
+            storage.removeItem(key);
+          }
+        }
+      } catch (e) {
+        // sessionStorage unavailable, nothing stored there
+      }
+    }
+
+    /**
+     * Collect all fingerprint components based on enabled signals
+     * @param {Object} options - Collection options
+     * @param {AbortSignal} options.signal - Aborts collection
+     */
+    async collectComponents(options = {}) {
+      const abortSignal = options.signal;
+      this.components = {};
+      this.diagnostics = {};
+      this.workerReport = null;
+      this.consistencyCache = {};
+
+      // Start the worker first so it runs alongside the main-thread collectors
+      const workerSignals = this.workerOptions
+        ? this.enabledSignals.filter((name) => {
+            const signal = getSignal(name);
+            return (
+              signal &&
+              signal.worker &&
+              !(signal.worker === "offload" && this.readCache(name))
+            );
+          })
+        : [];
+      const workerRun =
+        workerSignals.length > 0
+          ? this.runWorker(workerSignals, abortSignal)
+          : null;
+      if (workerRun) {
+        // An abort may reject it before it is awaited below
+        workerRun.catch(() => {});
+      }
+
+      // Collect each enabled signal
+      const signalPromises = [];
+      const deferred = this.enabledSignals.filter(
+        (name) => getSignal(name) && getSignal(name).deferred,
+      );
+
+      for (const name of this.enabledSignals) {
+        if (abortSignal && abortSignal.aborted) {
+          throw abortError(abortSignal);
+        }
+
+        if (deferred.includes(name)) {
+          continue;
+        }
+
+        if (
+          workerRun &&
+          workerSignals.includes(name) &&
+          getSignal(name).worker === "offload"
+        ) {
+          continue;
+        }
+
+        const pending = this.collectSignal(name, abortSignal);
+        if (pending) {
+          signalPromises.push(pending);
+        }
+      }
+
+      // Wait for all async signals
+      await Promise.all(signalPromises);
+
+      if (workerRun) {
+        await this.mergeWorkerResult(
+          workerSignals,
+          await workerRun,
+          abortSignal,
+        );
+      }
+
+      // Deferred signals reuse the components collected above
+      if (deferred.length > 0 && abortSignal && abortSignal.aborted) {
+        throw abortError(abortSignal);
+      }
+      await Promise.all(
+        deferred.map((name) => this.collectSignal(name, abortSignal)),
+      );
+    }
+
+    /**
+     * Collect one signal on this thread, reading the cache first
+     * @returns {Promise|undefined} Settles once an async signal is recorded
+     */
+    collectSignal(name, abortSignal) {
+      const signal = getSignal(name);
+      if (!signal) return undefined;
+
+      const startTime = now();
+
+      const cached = this.readCache(name);
+      if (cached) {
+        this.recordSignal(
+          name,
+          { value: cached.value, cached: true },
+          startTime,
+        );
+        return undefined;
+      }
+
+      if (signal.async) {
+        // Settle collector errors here so withTimeout only rejects on abort
+        const outcome = Promise.resolve()
+          .then(() => signal.collect.call(this, this))
+          .then(
+            (value) => ({ value }),
+            (error) => ({ error }),
+          );
+
+        return withTimeout(
+          outcome,
+          this.getSignalTimeout(name),
+          abortSignal,
+        ).then((r) => {
+          this.recordSignal(
+            name,
+            r === TIMED_OUT ? { timedOut: true } : r,
+            startTime,
+          );
+        });
+      }
+
+      let outcome;
+      try {
+        outcome = { value: signal.collect.call(this, this) };
+      } catch (error) {
+        outcome = { error };
+      }
+      this.recordSignal(name, outcome, startTime);
+      return undefined;
+    }
+
+    /**
+     * Collect signals in a dedicated Web Worker that loads this script again
+     * @param {Array} signals - Signal names to collect in the worker
+     * @param {AbortSignal} abortSignal - Terminates the worker when aborted
+     * @returns {Promise<object>} { status: 'ok', components, diagnostics }, or { status, error } where status is 'unavailable', 'error' or 'timeout'
+     */
+    async runWorker(signals, abortSignal) {
+      const url = this.workerOptions.url
+        ? new URL(this.workerOptions.url, location.href).href
+        : SCRIPT_URL;
+      if (typeof Worker === "undefined" || typeof Blob === "undefined") {
+        return {
+          status: "unavailable",
+          error: "Web Workers are not supported",
+        };
+      }
+      if (!url) {
+        return {
+          status: "unavailable",
+          error: "Script URL unknown; pass worker: { url }",
+        };
+      }
+
+      let blobUrl = null;
+      let worker;
+      try {
+        blobUrl = URL.createObjectURL(
+          new Blob(["(" + workerMain + ")(self);"], {
+            type: "text/javascript",
+          }),
+        );
+        worker = new Worker(blobUrl);
+      } catch (error) {
+        // e.g. a Content-Security-Policy without worker-src blob:
+        if (blobUrl) URL.revokeObjectURL(blobUrl);
+        return { status: "unavailable", error: error.message };
+      }
+
+      const outcome = new Promise((resolve) => {
+        worker.onmessage = (event) =>
+          resolve(Object.assign({ status: "ok" }, event.data));
+        worker.onerror = (event) => {
+          event.preventDefault();
+          resolve({
+            status: "error",
+            error: event.message || "Worker failed to load",
+          });
+        };
+      });
+      worker.postMessage({
+        url,
+        options: {
+          signals,
+          timeout: this.timeout,
+          timeouts: this.timeouts,
+          canvas: this.canvasOptions,
+          clientHints: this.clientHintsOptions,
+          fonts: this.fontsOptions,
+          hashAlgorithm: this.hashAlgorithm,
+        },
+      });
+
+      try {
+        const result = await withTimeout(
+          outcome,
+          this.workerOptions.timeout || WORKER_TIMEOUT,
+          abortSignal,
+        );
+        return result === TIMED_OUT
+          ? { status: "timeout", error: "Worker did not respond in time" }
+          : result;
+      } finally {
+        worker.terminate();
+        URL.revokeObjectURL(blobUrl);
+      }
+    }
+
+    /**
+     * Merge the worker's values into components and build the worker report.
+     * Offloaded signals take the worker's value, and are collected here instead
+     * when the worker could not provide one (no OffscreenCanvas or WebGL in the
+     * worker, an error or a timeout); compared signals keep the main-thread
+     * value and are reported when the worker saw something else.
+     */
+    async mergeWorkerResult(signals, run, abortSignal) {
+      const report = { status: run.status, signals: [], mismatches: [] };
+      if (run.error) {
+        report.error = run.error;
+      }
+
+      const fallback = [];
+      for (const name of signals) {
+        const signal = getSignal(name);
+        const workerDiagnostic = run.status === "ok" && run.diagnostics[name];
+        if (
+          signal.worker === "offload" &&
+          (!workerDiagnostic || workerDiagnostic.status !== "ok")
+        ) {
+          fallback.push(name);
+          continue;
+        }
+        if (!workerDiagnostic) {
+          continue;
+        }
+
+        report.signals.push(name);
+        const workerValue = run.components[name];
+
+        if (signal.worker === "offload") {
+          this.recordSignal(name, { value: workerValue }, now());
+          this.diagnostics[name].duration = workerDiagnostic.duration;
+          this.diagnostics[name].worker = true;
+        } else if (
+          workerDiagnostic.status === "ok" &&
+          this.diagnostics[name] &&
+          this.diagnostics[name].status === "ok" &&
+          stableStringify(workerValue) !==
+            stableStringify(this.components[name])
+        ) {
+          // Spoofing extensions usually only patch the page's globals
+          report.mismatches.push({
+            signal: name,
+            main: this.components[name],
+            worker: workerValue,
+          });
+        }
+      }
+
+      await Promise.all(
+        fallback.map((name) => this.collectSignal(name, abortSignal)),
+      );
+      this.workerReport = report;
+    }
+
+    /**
+     * Store a signal's component value and its diagnostics entry
+     * @param {String} name - Signal name
+     * @param {Object} outcome - { value }, { error } or { timedOut: true }; { value, cached: true } for cache hits
+     * @param {Number} startTime - Timestamp taken before the collector ran
+     */
+    recordSignal(name, outcome, startTime) {
+      const diagnostic = {
+        status: "ok",
+        duration: Math.round((now() - startTime) * 100) / 100,
+      };
+
+      if (outcome.timedOut) {
+        diagnostic.status = "timeout";
+        this.components[name] = TIMEOUT_VALUE;
+      } else if (outcome.error) {
+        diagnostic.status = "error";
+        diagnostic.error =
+          outcome.error instanceof Error
+            ? outcome.error.message
+            : String(outcome.error);
+        this.components[name] = ERROR_VALUE;
+      } else {
+        if (UNSUPPORTED_VALUES.includes(outcome.value)) {
+          diagnostic.status = "unsupported";
+        } else if (isRandomizedValue(outcome.value)) {
+          diagnostic.randomized = true;
+        }
+        this.components[name] = outcome.value;
+
+        // Randomized values differ on every read, so caching one would hide the noise
+        if (outcome.cached) {
+          diagnostic.cached = true;
+        } else if (!diagnostic.randomized) {
+          this.writeCache(name, outcome.value);
+        }
+      }
+
+      this.diagnostics[name] = diagnostic;
+    }
+
+    /**
+     * Compute hash from components, tagged with the schema version and
+     * algorithm as "v3:sha256:<hex>"
+     */
+    async computeHash() {
+      // Sort keys to ensure consistent ordering regardless of async completion order
+      // Randomized signals change on every read, so they are left out
+      const sortedComponents = {};
+      Object.keys(this.components)
+        .sort()
+        .filter((key) => !isRandomizedValue(this.components[key]))
+        .forEach((key) => {
+          sortedComponents[key] = this.components[key];
+        });
+
+      const { algorithm, hash } = await this.digest(
+        JSON.stringify(sortedComponents),
+      );
+      return "v" + SCHEMA_VERSION + ":" + algorithm + ":" + hash;
+    }
+
+    /**
+     * Compute a short hash for each component
+     * @returns {Promise<object>} Map of signal name to hash
+     */
+    async computeComponentHashes() {
+      const hashes = {};
+      for (const key of Object.keys(this.components).sort()) {
+        const hash = await this.hashString(
+          stableStringify(this.components[key]),
+        );
+        hashes[key] = hash.slice(0, COMPONENT_HASH_LENGTH);
+      }
+      return hashes;
+    }
+
+    /**
+     * Seal a generate() result into a signed envelope for the server.
+     * The challenge comes from createChallenge() in deviceprint/server at
+     * session start; its key is an HMAC key bound to the nonce, so the server
+     * can tell envelopes for its own challenges from hand-made ones and reject
+     * a nonce that was already used.
+     * @param {Object} result - Result of generate()
+     * @param {Object} challenge - { nonce, key } issued by the server
+     * @returns {Promise<object>} { payload, signature } where payload is the signed JSON string
+     */
+    async seal(result, challenge) {
+      const subtle = window.crypto && window.crypto.subtle;
+      if (!subtle) {
+        throw new Error("seal() needs crypto.subtle, which requires HTTPS");
+      }
+      if (!challenge || !challenge.nonce || !challenge.key) {
+        throw new TypeError("seal() needs a { nonce, key } challenge");
+      }
+
+      const payload = JSON.stringify({
+        components: result.components,
+        fingerprint: result.fingerprint,
+        componentHashes: result.componentHashes,
+        timestamp: Date.now(),
+        nonce: challenge.nonce,
+        version: VERSION,
+      });
+      const key = await subtle.importKey(
+        "raw",
+        fromHex(challenge.key),
+        { name: "HMAC", hash: "SHA-256" },
+        false,
+        ["sign"],
+      );
+      const signature = await subtle.sign(
+        "HMAC",
+        key,
+        new TextEncoder().encode(payload),
+      );
+
+      return { payload, signature: toHex(new Uint8Array(signature)) };
+    }
+
+    /**
+     * Hash a string with the configured algorithm
+     */
+    async hashString(str) {
+      return (await this.digest(str)).hash;
+    }
+
+    /**
+     * Hash a string and report the algorithm that produced it
+     * @returns {Promise<object>} { algorithm, hash } where algorithm is 'sha256' or 'murmur3'
+     */
+    async digest(str) {
+      // Use SubtleCrypto if available
+      if (
+        this.hashAlgorithm !== "murmur3" &&
+        window.crypto &&
+        window.crypto.subtle
+      ) {
+        try {
+          const encoder = new TextEncoder();
+          const data = encoder.encode(str);
+          const hashBuffer = await window.crypto.subtle.digest("SHA-256", data);
+          const hashArray = Array.from(new Uint8Array(hashBuffer));
+          return {
+            algorithm: "sha256",
+            hash: hashArray
+              .map((b) => b.toString(16).padStart(2, "0"))
+              .join(""),
+          };
+        } catch (e) {
+          // Fallback to MurmurHash3
+        }
+      }
+
+      return { algorithm: "murmur3", hash: this.murmurHash3(str) };
+    }
+
+    /**
+     * MurmurHash3 x64 128-bit hash, for origins without crypto.subtle
+     */
+    murmurHash3(str) {
+      return murmurHash3(str);
+    }
+
+    /**
+     * Simple hash function fallback
+     */
+    simpleHash(str) {
+      let hash = 0;
+      for (let i = 0; i < str.length; i++) {
+        const char = str.charCodeAt(i);
+        hash = (hash << 5) - hash + char;
+        hash = hash & hash;
+      }
+      return Math.abs(hash).toString(16);
+    }
+
+    /**
+     * Get user agent string
+     */
+    getUserAgent() {
+      return navigator.userAgent;
+    }
+
+    /**
+     * Get browser language
+     */
+    getLanguage() {
+      return (
+        navigator.language ||
+        navigator.userLanguage ||
+        navigator.browserLanguage ||
+        navigator.systemLanguage ||
+        ""
+      );
+    }
+
+    /**
+     * Get color depth
+     */
+    getColorDepth() {
+      return screen.colorDepth || -1;
+    }
+
+    /**
+     * Get screen resolution
+     */
+    getScreenResolution() {
+      return [screen.width, screen.height];
+    }
+
+    /**
+     * Get available screen resolution
+     */
+    getAvailableScreenResolution() {
+      return [screen.availWidth, screen.availHeight];
+    }
+
+    /**
+     * Get timezone offset
+     */
+    getTimezoneOffset() {
+      return new Date().getTimezoneOffset();
+    }
+
+    /**
+     * Get timezone name
+     */
+    getTimezone() {
+      try {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone;
+      } catch (e) {
+        return "";
+      }
+    }
+
+    /**
+     * Check if session storage is available
+     */
+    hasSessionStorage() {
+      try {
+        return !!window.sessionStorage;
+      } catch (e) {
+        return false;
+      }
+    }
+
+    /**
      * Check if local storage is available
      */
     hasLocalStorage() {
@@ -508,34 +2558,81 @@
     /**
      * Generate canvas fingerprint
      * Based on: Mowery & Shacham (2012) "Pixel Perfect: Fingerprinting Canvas in HTML5"
+     *
+     * Each scene in CANVAS_SCENES is rendered on its own canvas and hashed, so a
+     * difference can be traced to text, emoji, gradient or winding-rule rendering.
+     * Every scene is drawn twice; if the pixels differ, the browser is adding
+     * noise and the result is wrapped as { value, randomized: true }.
      */
     async getCanvasFingerprint() {
-      try {
-        const canvas = document.createElement("canvas");
-        canvas.width = 200;
-        canvas.height = 50;
-        const ctx = canvas.getContext("2d");
+      const sceneHashes = {};
+      const images = {};
+      let randomized = false;
 
-        // Draw text
-        ctx.textBaseline = "top";
-        ctx.font = '14px "Arial"';
-        ctx.textBaseline = "alphabetic";
-        ctx.fillStyle = "#f60";
-        ctx.fillRect(125, 1, 62, 20);
-        ctx.fillStyle = "#069";
-        ctx.fillText("DevicePrint 🌐", 2, 15);
-        ctx.fillStyle = "rgba(102, 204, 0, 0.7)";
-        ctx.fillText("DevicePrint 🌐", 4, 17);
+      for (const name of Object.keys(CANVAS_SCENES)) {
+        const canvas = this.renderCanvasScene(name);
+        const repeat = this.renderCanvasScene(name);
+        if (!canvas || !repeat) {
+          return "not supported";
+        }
 
-        // Draw shapes
-        ctx.beginPath();
-        ctx.arc(50, 25, 20, 0, Math.PI * 2, true);
-        ctx.closePath();
-        ctx.fill();
+        const pixels = readPixels(canvas);
+        if (!samePixels(pixels, readPixels(repeat))) {
+          randomized = true;
+        }
+
+        sceneHashes[name] = (
+          await this.hashString(pixelsToString(pixels))
+        ).slice(0, COMPONENT_HASH_LENGTH);
+        if (this.canvasOptions.debug) {
+          images[name] = await canvasToDataURL(canvas);
+        }
+      }
+
+      const result = {
+        hash: await this.hashString(stableStringify(sceneHashes)),
+        scenes: sceneHashes,
+      };
+
+      if (this.canvasOptions.debug) {
+        result.images = images;
+      }
+
+      return randomized ? { value: result, randomized: true } : result;
+    }
 
-        return canvas.toDataURL();
+    /**
+     * Draw one of the CANVAS_SCENES on a fresh canvas
+     * @returns {HTMLCanvasElement|null} The canvas, or null when 2D canvas is unavailable
+     */
+    renderCanvasScene(name) {
+      const scene = CANVAS_SCENES[name];
+      const canvas = createCanvas(scene.width, scene.height);
+      const ctx = canvas && canvas.getContext && canvas.getContext("2d");
+
+      if (!ctx) {
+        return null;
+      }
+
+      scene.draw(ctx);
+      return canvas;
+    }
+
+    /**
+     * Create a WebGL context, or null when WebGL is unavailable or blocked
+     * @param {Number} width - Optional drawing buffer width
+     * @param {Number} height - Optional drawing buffer height
+     */
+    getWebGLContext(width, height) {
+      try {
+        const canvas = createCanvas(width, height);
+        return (
+          canvas &&
+          (canvas.getContext("webgl") ||
+            canvas.getContext("experimental-webgl"))
+        );
       } catch (e) {
-        return "not supported";
+        return null;
       }
     }
 
@@ -543,44 +2640,184 @@
      * Get WebGL fingerprint
      */
     getWebGLFingerprint() {
-      try {
-        const canvas = document.createElement("canvas");
-        const gl =
-          canvas.getContext("webgl") || canvas.getContext("experimental-webgl");
+      const gl = this.getWebGLContext();
 
-        if (!gl) {
-          return "not supported";
+      if (!gl) {
+        return "not supported";
+      }
+
+      const debugInfo = gl.getExtension("WEBGL_debug_renderer_info");
+      const info = debugInfo
+        ? {
+            vendor: gl.getParameter(debugInfo.UNMASKED_VENDOR_WEBGL),
+            renderer: gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL),
+          }
+        : "not available";
+      releaseWebGLContext(gl);
+      return info;
+    }
+
+    /**
+     * Render a fixed shaded scene with WebGL and hash the pixels read back.
+     * Unlike the parameter-based WebGL signals this tells apart machines with the
+     * same GPU string but different drivers. The scene is drawn twice so noise
+     * injected into readPixels is flagged as { value, randomized: true }.
+     */
+    async getWebGLRenderFingerprint() {
+      const first = this.renderWebGLScene();
+      if (typeof first === "string") {
+        return first;
+      }
+
+      const second = this.renderWebGLScene();
+      if (typeof second === "string") {
+        return second;
+      }
+
+      const hash = await this.hashString(Array.from(first).join(","));
+
+      for (let i = 0; i < first.length; i++) {
+        if (first[i] !== second[i]) {
+          return { value: hash, randomized: true };
         }
+      }
 
-        const debugInfo = gl.getExtension("WEBGL_debug_renderer_info");
-        return debugInfo
-          ? {
-              vendor: gl.getParameter(debugInfo.UNMASKED_VENDOR_WEBGL),
-              renderer: gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL),
-            }
-          : "not available";
-      } catch (e) {
+      return hash;
+    }
+
+    /**
+     * Draw the WEBGL_SCENE and read back its pixels
+     * @returns {Uint8Array|String} RGBA pixels, or "not supported"/"not available"
+     */
+    renderWebGLScene() {
+      const size = WEBGL_SCENE.size;
+      const gl = this.getWebGLContext(size, size);
+
+      if (!gl) {
+        return "not supported";
+      }
+      if (gl.isContextLost()) {
+        return "not available";
+      }
+
+      const program = gl.createProgram();
+      const shaders = [
+        [gl.VERTEX_SHADER, WEBGL_SCENE.vertexShader],
+        [gl.FRAGMENT_SHADER, WEBGL_SCENE.fragmentShader],
+      ].map(([type, source]) => {
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+        gl.attachShader(program, shader);
+        return shader;
+      });
+      gl.linkProgram(program);
+
+      if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+        // Shader compilation only fails this way when the context was lost
+        releaseWebGLContext(gl);
+        return "not available";
+      }
+      gl.useProgram(program);
+
+      const buffer = gl.createBuffer();
+      gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+      gl.bufferData(
+        gl.ARRAY_BUFFER,
+        new Float32Array(WEBGL_SCENE.vertices),
+        gl.STATIC_DRAW,
+      );
+
+      // Each vertex is x, y followed by r, g, b
+      const stride = 5 * Float32Array.BYTES_PER_ELEMENT;
+      const position = gl.getAttribLocation(program, "position");
+      const color = gl.getAttribLocation(program, "color");
+      gl.enableVertexAttribArray(position);
+      gl.vertexAttribPointer(position, 2, gl.FLOAT, false, stride, 0);
+      gl.enableVertexAttribArray(color);
+      gl.vertexAttribPointer(
+        color,
+        3,
+        gl.FLOAT,
+        false,
+        stride,
+        2 * Float32Array.BYTES_PER_ELEMENT,
+      );
+
+      gl.viewport(0, 0, size, size);
+      gl.clearColor(0, 0, 0, 1);
+      gl.clear(gl.COLOR_BUFFER_BIT);
+      gl.drawArrays(gl.TRIANGLES, 0, WEBGL_SCENE.vertices.length / 5);
+
+      const pixels = new Uint8Array(size * size * 4);
+      gl.readPixels(0, 0, size, size, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+      const lost = gl.isContextLost();
+
+      gl.deleteBuffer(buffer);
+      shaders.forEach((shader) => gl.deleteShader(shader));
+      gl.deleteProgram(program);
+      releaseWebGLContext(gl);
+
+      return lost ? "not available" : pixels;
+    }
+
+    /**
+     * Get WebGPU adapter information, features and limits (async)
+     */
+    async getWebGPUInfo() {
+      if (!navigator.gpu) {
         return "not supported";
       }
+
+      const adapter = await navigator.gpu.requestAdapter();
+
+      // Resolves to null when WebGPU is exposed but blocklisted or disabled
+      if (!adapter) {
+        return "not available";
+      }
+
+      // adapter.info replaced requestAdapterInfo() in newer browsers
+      let info = adapter.info;
+      if (!info && typeof adapter.requestAdapterInfo === "function") {
+        info = await adapter.requestAdapterInfo();
+      }
+      info = info || {};
+
+      const limits = {};
+      const limitNames = [];
+      for (const name in adapter.limits) {
+        limitNames.push(name);
+      }
+      for (const name of limitNames.sort()) {
+        if (typeof adapter.limits[name] === "number") {
+          limits[name] = adapter.limits[name];
+        }
+      }
+
+      return {
+        vendor: info.vendor || "",
+        architecture: info.architecture || "",
+        device: info.device || "",
+        description: info.description || "",
+        isFallbackAdapter: !!adapter.isFallbackAdapter,
+        features: Array.from(adapter.features || []).sort(),
+        limits: limits,
+      };
     }
 
     /**
      * Get WebGL vendor
      */
     getWebGLVendor() {
-      try {
-        const canvas = document.createElement("canvas");
-        const gl =
-          canvas.getContext("webgl") || canvas.getContext("experimental-webgl");
-
-        if (!gl) {
-          return "not supported";
-        }
+      const gl = this.getWebGLContext();
 
-        return gl.getParameter(gl.VENDOR);
-      } catch (e) {
+      if (!gl) {
         return "not supported";
       }
+
+      const vendor = gl.getParameter(gl.VENDOR);
+      releaseWebGLContext(gl);
+      return vendor;
     }
 
     /**
@@ -601,70 +2838,176 @@
     }
 
     /**
-     * Check if languages are consistent
+     * Detect headless browsers and automation frameworks
+     * @returns {Object} { flags, globals, verdict } where verdict is 'bot', 'suspicious' or 'human'
      */
-    getHasLiedLanguages() {
-      if (typeof navigator.languages !== "undefined") {
-        try {
-          const firstLanguages = navigator.languages[0].substr(0, 2);
-          if (firstLanguages !== navigator.language.substr(0, 2)) {
-            return true;
+    getBotSignals() {
+      const globals = AUTOMATION_GLOBALS.filter((name) => name in window);
+      for (const target of [window, document]) {
+        for (const name of Object.getOwnPropertyNames(target)) {
+          if (CHROMEDRIVER_PROPERTY.test(name)) globals.push(name);
+        }
+      }
+
+      // Reuses the webgl component or the run's WebGL probe
+      const renderer = createConsistencyContext(this).webglRenderer() || "";
+
+      const flags = {
+        webdriver: navigator.webdriver === true,
+        headlessUserAgent: /headless/i.test(navigator.userAgent),
+        automationGlobals: globals.length > 0,
+        noPlugins: !navigator.plugins || navigator.plugins.length === 0,
+        noLanguages: !navigator.languages || navigator.languages.length === 0,
+        zeroOuterWindow: window.outerWidth === 0 && window.outerHeight === 0,
+        softwareRenderer: SOFTWARE_RENDERERS.test(renderer),
+      };
+
+      const raised = Object.keys(flags).filter((flag) => flags[flag]);
+      let verdict = "human";
+      if (raised.some((flag) => STRONG_BOT_FLAGS.includes(flag))) {
+        verdict = "bot";
+      } else if (raised.length >= 2) {
+        verdict = "suspicious";
+      }
+
+      return { flags, globals, verdict };
+    }
+
+    /**
+     * Re-read key navigator and screen values through a hidden same-origin
+     * iframe. Anti-fingerprinting extensions often patch only the top window,
+     * so a value that differs in the iframe indicates tampering.
+     * @returns {Array|String} [{ property, top, frame }] or 'not supported' without a DOM
+     */
+    getCrossContextMismatches() {
+      if (typeof document === "undefined" || !document.body) {
+        return "not supported";
+      }
+
+      // No allow-scripts: the frame only needs to be readable from here
+      const iframe = document.createElement("iframe");
+      iframe.setAttribute("sandbox", "allow-same-origin");
+      iframe.setAttribute("aria-hidden", "true");
+      iframe.style.display = "none";
+      document.body.appendChild(iframe);
+
+      try {
+        const frame = iframe.contentWindow;
+        if (!frame || !frame.navigator) {
+          return "not supported";
+        }
+
+        const mismatches = [];
+        for (const property of Object.keys(CROSS_CONTEXT_PROPERTIES)) {
+          const read = CROSS_CONTEXT_PROPERTIES[property];
+          const top = read(navigator, screen);
+          const framed = read(frame.navigator, frame.screen);
+          if (stableStringify(top) !== stableStringify(framed)) {
+            mismatches.push({ property, top, frame: framed });
           }
-        } catch (err) {
-          return false;
         }
+        return mismatches;
+      } finally {
+        document.body.removeChild(iframe);
       }
-      return false;
+    }
+
+    /**
+     * Check if languages are consistent
+     */
+    getHasLiedLanguages() {
+      return this.hasInconsistency("languages");
     }
 
     /**
      * Check if resolution is consistent
      */
     getHasLiedResolution() {
-      return (
-        screen.width < screen.availWidth || screen.height < screen.availHeight
-      );
+      return this.hasInconsistency("resolution");
     }
 
     /**
      * Check if OS info is consistent
      */
     getHasLiedOs() {
-      const userAgent = navigator.userAgent.toLowerCase();
-      const oscpu = navigator.oscpu;
-      const platform = navigator.platform.toLowerCase();
+      return this.hasInconsistency("os");
+    }
 
-      if (oscpu) {
-        const oscpuLower = oscpu.toLowerCase();
-        if (oscpuLower.indexOf("win") >= 0 && platform.indexOf("win") < 0)
-          return true;
-        if (oscpuLower.indexOf("linux") >= 0 && platform.indexOf("linux") < 0)
-          return true;
-        if (oscpuLower.indexOf("mac") >= 0 && platform.indexOf("mac") < 0)
-          return true;
+    /**
+     * Check if browser info is consistent
+     */
+    getHasLiedBrowser() {
+      return this.hasInconsistency("browser");
+    }
+
+    /**
+     * Run the consistency rules and list the ones the environment breaks
+     * @param {String} category - Only run rules of this category
+     * @returns {Array} { name, category, severity } for each broken rule, in registration order
+     */
+    getConsistency(category) {
+      const context = createConsistencyContext(this);
+      const inconsistencies = [];
+
+      for (const name of Object.keys(CONSISTENCY_RULES)) {
+        const rule = CONSISTENCY_RULES[name];
+        if (category && rule.category !== category) continue;
+        if (rule.check(context)) {
+          inconsistencies.push({
+            name,
+            category: rule.category,
+            severity: rule.severity,
+          });
+        }
       }
 
-      return false;
+      return inconsistencies;
     }
 
     /**
-     * Check if browser info is consistent
+     * Whether any consistency rule of a category is broken
      */
-    getHasLiedBrowser() {
-      const userAgent = navigator.userAgent.toLowerCase();
-      const productSub = navigator.productSub;
+    hasInconsistency(category) {
+      return this.getConsistency(category).length > 0;
+    }
 
-      // Chrome check
-      if (userAgent.indexOf("chrome") >= 0 && productSub !== "20030107") {
-        return true;
+    /**
+     * Get User-Agent Client Hints (async)
+     * Low-entropy values are always read; high-entropy values are only
+     * requested with the clientHints: { highEntropy: true } option.
+     */
+    async getClientHints() {
+      const uaData = navigator.userAgentData;
+      if (!uaData) {
+        return "not supported";
       }
 
-      // Firefox check
-      if (userAgent.indexOf("firefox") >= 0 && productSub !== "20100101") {
-        return true;
+      const result = {
+        brands: (uaData.brands || [])
+          .map((b) => ({ brand: b.brand, version: b.version }))
+          .sort((a, b) => (a.brand < b.brand ? -1 : a.brand > b.brand ? 1 : 0)),
+        mobile: !!uaData.mobile,
+        platform: uaData.platform || "",
+      };
+
+      if (
+        this.clientHintsOptions.highEntropy &&
+        typeof uaData.getHighEntropyValues === "function"
+      ) {
+        let values = {};
+        try {
+          values = await uaData.getHighEntropyValues(HIGH_ENTROPY_HINTS);
+        } catch (e) {
+          // Permissions-Policy can block this in iframes; keep the low-entropy hints
+        }
+        for (const hint of HIGH_ENTROPY_HINTS) {
+          if (hint in values) {
+            result[hint] = values[hint];
+          }
+        }
       }
 
-      return false;
+      return result;
     }
 
     /**
@@ -699,104 +3042,80 @@
     /**
      * Detect installed fonts
      * Uses standard font detection technique via canvas text measurement
+     * @returns {Object} { detected, osFamily } where osFamily is the OS the detected fonts suggest (or null)
      */
     getFonts() {
-      const baseFonts = ["monospace", "sans-serif", "serif"];
-      const testFonts = [
-        "Arial",
-        "Verdana",
-        "Times New Roman",
-        "Courier New",
-        "Georgia",
-        "Palatino",
-        "Garamond",
-        "Bookman",
-        "Comic Sans MS",
-        "Trebuchet MS",
-        "Impact",
-        "Arial Black",
-        "Helvetica",
-        "Tahoma",
-        "Geneva",
-      ];
-
-      const testString = "mmmmmmmmmmlli";
-      const testSize = "72px";
-      const canvas = document.createElement("canvas");
-      const ctx = canvas.getContext("2d");
-
-      const baseFontWidths = {};
-      for (const baseFont of baseFonts) {
-        ctx.font = testSize + " " + baseFont;
-        baseFontWidths[baseFont] = ctx.measureText(testString).width;
-      }
-
-      const detectedFonts = [];
-      for (const testFont of testFonts) {
-        let detected = false;
-        for (const baseFont of baseFonts) {
-          ctx.font = testSize + " " + testFont + ", " + baseFont;
-          const width = ctx.measureText(testString).width;
-          if (width !== baseFontWidths[baseFont]) {
-            detected = true;
-            break;
-          }
-        }
-        if (detected) {
-          detectedFonts.push(testFont);
-        }
+      const canvas = createCanvas();
+      const ctx = canvas && canvas.getContext("2d");
+      if (!ctx) {
+        return "not supported";
       }
 
-      return detectedFonts;
+      const detected = detectFonts(ctx, fontProbeList(this.fontsOptions));
+
+      return {
+        detected,
+        osFamily: guessFontOsFamily(detected),
+      };
     }
 
     /**
      * Generate audio fingerprint
      * Based on: Englehardt & Narayanan (2016) audio context fingerprinting research
+     *
+     * Renders a triangle oscillator through a DynamicsCompressor in an
+     * OfflineAudioContext, which is deterministic, needs no user gesture and
+     * never plays sound.
      */
     async getAudioFingerprint() {
-      return new Promise((resolve) => {
-        try {
-          const AudioContext = window.AudioContext || window.webkitAudioContext;
+      const OfflineContext =
+        window.OfflineAudioContext || window.webkitOfflineAudioContext;
 
-          if (!AudioContext) {
-            resolve("not supported");
-            return;
-          }
+      if (!OfflineContext) {
+        return "not supported";
+      }
 
-          const context = new AudioContext();
-          const oscillator = context.createOscillator();
-          const analyser = context.createAnalyser();
-          const gainNode = context.createGain();
-          const scriptProcessor = context.createScriptProcessor(4096, 1, 1);
-
-          gainNode.gain.value = 0; // Mute
-          oscillator.type = "triangle";
-          oscillator.connect(analyser);
-          analyser.connect(scriptProcessor);
-          scriptProcessor.connect(gainNode);
-          gainNode.connect(context.destination);
-
-          scriptProcessor.onaudioprocess = function (event) {
-            const output = event.outputBuffer.getChannelData(0);
-            let fingerprint = 0;
-            for (let i = 0; i < output.length; i++) {
-              fingerprint += Math.abs(output[i]);
-            }
-
-            oscillator.stop();
-            scriptProcessor.disconnect();
-            analyser.disconnect();
-            gainNode.disconnect();
-
-            resolve(fingerprint.toString());
-          };
+      const context = new OfflineContext(1, AUDIO_RENDER_LENGTH, 44100);
+      const oscillator = context.createOscillator();
+      oscillator.type = "triangle";
+      setAudioParam(oscillator.frequency, 10000);
 
-          oscillator.start(0);
-        } catch (e) {
-          resolve("not supported");
-        }
-      });
+      const compressor = context.createDynamicsCompressor();
+      setAudioParam(compressor.threshold, -50);
+      setAudioParam(compressor.knee, 40);
+      setAudioParam(compressor.ratio, 12);
+      setAudioParam(compressor.attack, 0);
+      setAudioParam(compressor.release, 0.25);
+
+      oscillator.connect(compressor);
+      compressor.connect(context.destination);
+      oscillator.start(0);
+
+      let buffer;
+      try {
+        buffer = await renderOfflineAudio(context);
+      } finally {
+        oscillator.disconnect();
+        compressor.disconnect();
+        context.oncomplete = null;
+      }
+
+      // The compressor's output settles after the first few thousand samples
+      const samples = buffer
+        .getChannelData(0)
+        .subarray(AUDIO_RENDER_LENGTH - AUDIO_SAMPLE_WINDOW);
+      let sum = 0;
+      for (let i = 0; i < samples.length; i++) {
+        sum += Math.abs(samples[i]);
+      }
+
+      return {
+        sum: sum,
+        hash: (await this.hashString(Array.from(samples).join(","))).slice(
+          0,
+          COMPONENT_HASH_LENGTH,
+        ),
+      };
     }
 
     /**
@@ -824,170 +3143,187 @@
      * Get CSS media preferences (dark mode, reduced motion, etc.)
      */
     getMediaPreferences() {
-      try {
-        return {
-          colorScheme: window.matchMedia("(prefers-color-scheme: dark)").matches
-            ? "dark"
-            : "light",
-          reducedMotion: window.matchMedia("(prefers-reduced-motion: reduce)")
-            .matches,
-          reducedTransparency: window.matchMedia(
-            "(prefers-reduced-transparency: reduce)",
-          ).matches,
-          contrast: window.matchMedia("(prefers-contrast: high)").matches
-            ? "high"
-            : "normal",
-          forcedColors: window.matchMedia("(forced-colors: active)").matches,
-        };
-      } catch (e) {
+      if (!window.matchMedia) {
         return "not supported";
       }
+
+      return {
+        colorScheme: window.matchMedia("(prefers-color-scheme: dark)").matches
+          ? "dark"
+          : "light",
+        reducedMotion: window.matchMedia("(prefers-reduced-motion: reduce)")
+          .matches,
+        reducedTransparency: window.matchMedia(
+          "(prefers-reduced-transparency: reduce)",
+        ).matches,
+        contrast: window.matchMedia("(prefers-contrast: high)").matches
+          ? "high"
+          : "normal",
+        forcedColors: window.matchMedia("(forced-colors: active)").matches,
+      };
     }
 
     /**
      * Get detailed locale information
      */
     getLocaleInfo() {
-      try {
-        return {
-          languages: navigator.languages || [navigator.language],
-          dateFormat: new Intl.DateTimeFormat().resolvedOptions(),
-          numberFormat: new Intl.NumberFormat().resolvedOptions(),
-          collation: new Intl.Collator().resolvedOptions(),
-        };
-      } catch (e) {
+      if (typeof Intl === "undefined" || typeof Intl.Collator !== "function") {
         return "not supported";
       }
+
+      return {
+        languages: navigator.languages || [navigator.language],
+        dateFormat: new Intl.DateTimeFormat().resolvedOptions(),
+        numberFormat: new Intl.NumberFormat().resolvedOptions(),
+        collation: new Intl.Collator().resolvedOptions(),
+      };
     }
 
     /**
      * Get screen orientation
      */
     getScreenOrientation() {
-      try {
-        if (screen.orientation) {
-          return {
-            type: screen.orientation.type,
-            angle: screen.orientation.angle,
-          };
-        }
-        return "not supported";
-      } catch (e) {
-        return "not supported";
+      if (screen.orientation) {
+        return {
+          type: screen.orientation.type,
+          angle: screen.orientation.angle,
+        };
       }
+      return "not supported";
     }
 
     /**
      * Get pointer capabilities
      */
     getPointerInfo() {
-      try {
-        return {
-          pointerType: window.matchMedia("(pointer: fine)").matches
-            ? "fine"
-            : window.matchMedia("(pointer: coarse)").matches
-              ? "coarse"
-              : "none",
-          hoverCapable: window.matchMedia("(hover: hover)").matches,
-          anyPointer: window.matchMedia("(any-pointer: fine)").matches
-            ? "fine"
-            : "coarse",
-          anyHover: window.matchMedia("(any-hover: hover)").matches,
-        };
-      } catch (e) {
+      if (!window.matchMedia) {
         return "not supported";
       }
+
+      return {
+        pointerType: window.matchMedia("(pointer: fine)").matches
+          ? "fine"
+          : window.matchMedia("(pointer: coarse)").matches
+            ? "coarse"
+            : "none",
+        hoverCapable: window.matchMedia("(hover: hover)").matches,
+        anyPointer: window.matchMedia("(any-pointer: fine)").matches
+          ? "fine"
+          : "coarse",
+        anyHover: window.matchMedia("(any-hover: hover)").matches,
+      };
     }
 
     /**
-     * Get math constants (may vary slightly across browsers/platforms)
+     * Evaluate Math functions whose last bits differ between JS engines and
+     * the libm they are built on (see MATH_PROBES)
+     * @returns {Object} Result per probe; null when the function is missing
      */
     getMathFingerprint() {
-      return {
-        pi: Math.PI,
-        e: Math.E,
-        ln2: Math.LN2,
-        ln10: Math.LN10,
-        log2e: Math.LOG2E,
-        log10e: Math.LOG10E,
-        sqrt1_2: Math.SQRT1_2,
-        sqrt2: Math.SQRT2,
-      };
+      const result = {};
+      for (const name of Object.keys(MATH_PROBES)) {
+        const [fn, ...args] = MATH_PROBES[name];
+        result[name] =
+          typeof Math[fn] === "function" ? Math[fn].apply(Math, args) : null;
+      }
+      return result;
     }
 
     /**
      * Get media codec support
      */
     getMediaSupport() {
-      try {
-        const video = document.createElement("video");
-        const audio = document.createElement("audio");
+      const video = document.createElement("video");
+      const audio = document.createElement("audio");
 
-        return {
-          h264: video.canPlayType('video/mp4; codecs="avc1.42E01E"'),
-          h265: video.canPlayType('video/mp4; codecs="hev1.1.6.L93.B0"'),
-          webm: video.canPlayType('video/webm; codecs="vp8, vorbis"'),
-          av1: video.canPlayType('video/mp4; codecs="av01.0.05M.08"'),
-          ogg: audio.canPlayType('audio/ogg; codecs="vorbis"'),
-          mp3: audio.canPlayType("audio/mpeg"),
-          opus: audio.canPlayType('audio/ogg; codecs="opus"'),
-        };
-      } catch (e) {
+      if (!video.canPlayType || !audio.canPlayType) {
         return "not supported";
       }
+
+      return {
+        h264: video.canPlayType('video/mp4; codecs="avc1.42E01E"'),
+        h265: video.canPlayType('video/mp4; codecs="hev1.1.6.L93.B0"'),
+        webm: video.canPlayType('video/webm; codecs="vp8, vorbis"'),
+        av1: video.canPlayType('video/mp4; codecs="av01.0.05M.08"'),
+        ogg: audio.canPlayType('audio/ogg; codecs="vorbis"'),
+        mp3: audio.canPlayType("audio/mpeg"),
+        opus: audio.canPlayType('audio/ogg; codecs="opus"'),
+      };
     }
 
     /**
      * Get extended WebGL parameters
      */
     getExtendedWebGLInfo() {
-      try {
-        const canvas = document.createElement("canvas");
-        const gl =
-          canvas.getContext("webgl") || canvas.getContext("experimental-webgl");
+      const gl = this.getWebGLContext();
 
-        if (!gl) return "not supported";
+      if (!gl) return "not supported";
 
-        const ext =
-          gl.getExtension("EXT_texture_filter_anisotropic") ||
-          gl.getExtension("WEBKIT_EXT_texture_filter_anisotropic") ||
-          gl.getExtension("MOZ_EXT_texture_filter_anisotropic");
+      const ext =
+        gl.getExtension("EXT_texture_filter_anisotropic") ||
+        gl.getExtension("WEBKIT_EXT_texture_filter_anisotropic") ||
+        gl.getExtension("MOZ_EXT_texture_filter_anisotropic");
 
-        return {
-          aliasedLineWidthRange: Array.from(
-            gl.getParameter(gl.ALIASED_LINE_WIDTH_RANGE),
-          ),
-          aliasedPointSizeRange: Array.from(
-            gl.getParameter(gl.ALIASED_POINT_SIZE_RANGE),
-          ),
-          maxAnisotropy: ext
-            ? gl.getParameter(ext.MAX_TEXTURE_MAX_ANISOTROPY_EXT)
-            : null,
-          maxCombinedTextureImageUnits: gl.getParameter(
-            gl.MAX_COMBINED_TEXTURE_IMAGE_UNITS,
-          ),
-          maxCubeMapTextureSize: gl.getParameter(gl.MAX_CUBE_MAP_TEXTURE_SIZE),
-          maxFragmentUniformVectors: gl.getParameter(
-            gl.MAX_FRAGMENT_UNIFORM_VECTORS,
-          ),
-          maxRenderbufferSize: gl.getParameter(gl.MAX_RENDERBUFFER_SIZE),
-          maxTextureImageUnits: gl.getParameter(gl.MAX_TEXTURE_IMAGE_UNITS),
-          maxTextureSize: gl.getParameter(gl.MAX_TEXTURE_SIZE),
-          maxVaryingVectors: gl.getParameter(gl.MAX_VARYING_VECTORS),
-          maxVertexAttribs: gl.getParameter(gl.MAX_VERTEX_ATTRIBS),
-          maxVertexTextureImageUnits: gl.getParameter(
-            gl.MAX_VERTEX_TEXTURE_IMAGE_UNITS,
-          ),
-          maxVertexUniformVectors: gl.getParameter(
-            gl.MAX_VERTEX_UNIFORM_VECTORS,
-          ),
-          maxViewportDims: Array.from(gl.getParameter(gl.MAX_VIEWPORT_DIMS)),
-          shadingLanguageVersion: gl.getParameter(gl.SHADING_LANGUAGE_VERSION),
-          extensions: gl.getSupportedExtensions() || [],
-        };
+      const info = {
+        aliasedLineWidthRange: Array.from(
+          gl.getParameter(gl.ALIASED_LINE_WIDTH_RANGE),
+        ),
+        aliasedPointSizeRange: Array.from(
+          gl.getParameter(gl.ALIASED_POINT_SIZE_RANGE),
+        ),
+        maxAnisotropy: ext
+          ? gl.getParameter(ext.MAX_TEXTURE_MAX_ANISOTROPY_EXT)
+          : null,
+        maxCombinedTextureImageUnits: gl.getParameter(
+          gl.MAX_COMBINED_TEXTURE_IMAGE_UNITS,
+        ),
+        maxCubeMapTextureSize: gl.getParameter(gl.MAX_CUBE_MAP_TEXTURE_SIZE),
+        maxFragmentUniformVectors: gl.getParameter(
+          gl.MAX_FRAGMENT_UNIFORM_VECTORS,
+        ),
+        maxRenderbufferSize: gl.getParameter(gl.MAX_RENDERBUFFER_SIZE),
+        maxTextureImageUnits: gl.getParameter(gl.MAX_TEXTURE_IMAGE_UNITS),
+        maxTextureSize: gl.getParameter(gl.MAX_TEXTURE_SIZE),
+        maxVaryingVectors: gl.getParameter(gl.MAX_VARYING_VECTORS),
+        maxVertexAttribs: gl.getParameter(gl.MAX_VERTEX_ATTRIBS),
+        maxVertexTextureImageUnits: gl.getParameter(
+          gl.MAX_VERTEX_TEXTURE_IMAGE_UNITS,
+        ),
+        maxVertexUniformVectors: gl.getParameter(gl.MAX_VERTEX_UNIFORM_VECTORS),
+        maxViewportDims: Array.from(gl.getParameter(gl.MAX_VIEWPORT_DIMS)),
+        shadingLanguageVersion: gl.getParameter(gl.SHADING_LANGUAGE_VERSION),
+        extensions: gl.getSupportedExtensions() || [],
+        shaderPrecision: getShaderPrecisions(gl),
+        webgl2: this.getWebGL2Info(),
+      };
+
+      releaseWebGLContext(gl);
+      return info;
+    }
+
+    /**
+     * Get WebGL2 limits, which still differ between GPUs whose WebGL1 limits are identical
+     */
+    getWebGL2Info() {
+      let gl;
+      try {
+        const canvas = createCanvas();
+        gl = canvas && canvas.getContext("webgl2");
       } catch (e) {
-        return "not supported";
+        gl = null;
       }
+
+      if (!gl) return "not supported";
+
+      const info = {};
+      for (const name of WEBGL2_PARAMETERS) {
+        info[constantToCamelCase(name)] = gl.getParameter(gl[name]);
+      }
+      info.shaderPrecision = getShaderPrecisions(gl);
+      info.extensions = gl.getSupportedExtensions() || [];
+
+      releaseWebGLContext(gl);
+      return info;
     }
 
     /**
@@ -995,51 +3331,47 @@
      */
     async getSpeechVoices() {
       return new Promise((resolve) => {
-        try {
-          if (!("speechSynthesis" in window)) {
-            resolve("not supported");
-            return;
-          }
-
-          const getVoices = () => {
-            const voices = speechSynthesis.getVoices();
-            if (voices.length > 0) {
-              resolve(
-                voices.map((v) => ({
-                  name: v.name,
-                  lang: v.lang,
-                  localService: v.localService,
-                })),
-              );
-            } else {
-              // Wait for voiceschanged event
-              const timeout = setTimeout(() => {
-                // If no voices after timeout, return empty array
-                resolve([]);
-              }, 100);
-
-              speechSynthesis.addEventListener(
-                "voiceschanged",
-                () => {
-                  clearTimeout(timeout);
-                  const voices = speechSynthesis.getVoices();
-                  resolve(
-                    voices.map((v) => ({
-                      name: v.name,
-                      lang: v.lang,
-                      localService: v.localService,
-                    })),
-                  );
-                },
-                { once: true },
-              );
-            }
-          };
-
-          getVoices();
-        } catch (e) {
+        if (!("speechSynthesis" in window)) {
           resolve("not supported");
+          return;
         }
+
+        const getVoices = () => {
+          const voices = speechSynthesis.getVoices();
+          if (voices.length > 0) {
+            resolve(
+              voices.map((v) => ({
+                name: v.name,
+                lang: v.lang,
+                localService: v.localService,
+              })),
+            );
+          } else {
+            // Wait for voiceschanged event
+            const timeout = setTimeout(() => {
+              // If no voices after timeout, return empty array
+              resolve([]);
+            }, 100);
+
+            speechSynthesis.addEventListener(
+              "voiceschanged",
+              () => {
+                clearTimeout(timeout);
+                const voices = speechSynthesis.getVoices();
+                resolve(
+                  voices.map((v) => ({
+                    name: v.name,
+                    lang: v.lang,
+                    localService: v.localService,
+                  })),
+                );
+              },
+              { once: true },
+            );
+          }
+        };
+
+        getVoices();
       });
     }
 
@@ -1047,142 +3379,1174 @@
      * Get network information
      */
     getNetworkInfo() {
-      try {
-        const conn =
-          navigator.connection ||
-          navigator.mozConnection ||
-          navigator.webkitConnection;
-        if (conn) {
-          return {
-            effectiveType: conn.effectiveType,
-            saveData: conn.saveData,
-          };
-        }
-        return "not supported";
-      } catch (e) {
-        return "not supported";
+      const conn =
+        navigator.connection ||
+        navigator.mozConnection ||
+        navigator.webkitConnection;
+      if (conn) {
+        return {
+          effectiveType: conn.effectiveType,
+          saveData: conn.saveData,
+        };
       }
+      return "not supported";
     }
 
     /**
      * Get gamepad information
      */
     getGamepads() {
-      try {
-        if (!navigator.getGamepads) return "not supported";
-
-        const gamepads = navigator.getGamepads();
-        const connected = Array.from(gamepads).filter((g) => g);
-
-        // Only return count and IDs, not button states which can vary
-        return connected.length > 0
-          ? {
-              count: connected.length,
-              ids: connected.map((g) => g.id).sort(),
-            }
-          : { count: 0 };
-      } catch (e) {
-        return "not supported";
-      }
+      if (!navigator.getGamepads) return "not supported";
+
+      const gamepads = navigator.getGamepads();
+      const connected = Array.from(gamepads).filter((g) => g);
+
+      // Only return count and IDs, not button states which can vary
+      return connected.length > 0
+        ? {
+            count: connected.length,
+            ids: connected.map((g) => g.id).sort(),
+          }
+        : { count: 0 };
     }
 
     /**
      * Get battery information (async)
      */
     async getBatteryInfo() {
-      try {
-        if ("getBattery" in navigator) {
-          const battery = await navigator.getBattery();
-          return {
-            charging: battery.charging,
-          };
-        }
-        return "not supported";
-      } catch (e) {
-        return "not supported";
+      if ("getBattery" in navigator) {
+        const battery = await navigator.getBattery();
+        return {
+          charging: battery.charging,
+        };
       }
+      return "not supported";
     }
 
     /**
      * Get media devices count (async)
      */
     async getMediaDevices() {
-      try {
-        if (!navigator.mediaDevices?.enumerateDevices) {
-          return "not supported";
-        }
+      if (!navigator.mediaDevices?.enumerateDevices) {
+        return "not supported";
+      }
 
-        const devices = await navigator.mediaDevices.enumerateDevices();
-        return {
-          audioInput: devices.filter((d) => d.kind === "audioinput").length,
-          audioOutput: devices.filter((d) => d.kind === "audiooutput").length,
-          videoInput: devices.filter((d) => d.kind === "videoinput").length,
-        };
+      let devices;
+      try {
+        devices = await navigator.mediaDevices.enumerateDevices();
       } catch (e) {
-        return "permission denied";
+        if (e.name === "NotAllowedError" || e.name === "SecurityError") {
+          return "permission denied";
+        }
+        throw e;
       }
+
+      return {
+        audioInput: devices.filter((d) => d.kind === "audioinput").length,
+        audioOutput: devices.filter((d) => d.kind === "audiooutput").length,
+        videoInput: devices.filter((d) => d.kind === "videoinput").length,
+      };
     }
 
     /**
      * Get performance metrics (async)
      */
     async getPerformanceMetrics() {
-      return new Promise((resolve) => {
-        try {
-          const result = {};
+      const result = {};
 
-          // Only include stable memory limits if available (not current usage)
-          if (performance.memory) {
-            result.memory = {
-              jsHeapSizeLimit: performance.memory.jsHeapSizeLimit,
-            };
-          }
+      // Only include stable memory limits if available (not current usage)
+      if (typeof performance !== "undefined" && performance.memory) {
+        result.memory = {
+          jsHeapSizeLimit: performance.memory.jsHeapSizeLimit,
+        };
+      }
 
-          // Add hardware concurrency as a stable performance indicator
-          if (navigator.hardwareConcurrency) {
-            result.hardwareConcurrency = navigator.hardwareConcurrency;
-          }
+      // Add hardware concurrency as a stable performance indicator
+      if (navigator.hardwareConcurrency) {
+        result.hardwareConcurrency = navigator.hardwareConcurrency;
+      }
 
-          resolve(Object.keys(result).length > 0 ? result : "not supported");
-        } catch (e) {
-          resolve("not supported");
-        }
-      });
+      return Object.keys(result).length > 0 ? result : "not supported";
     }
 
     /**
      * Get permissions status (async)
      */
     async getPermissions() {
+      if (!navigator.permissions) return "not supported";
+
+      const permNames = [
+        "geolocation",
+        "notifications",
+        "microphone",
+        "camera",
+      ];
+      const results = {};
+
+      for (const perm of permNames) {
+        try {
+          const result = await navigator.permissions.query({ name: perm });
+          results[perm] = result.state;
+        } catch {
+          // Browsers throw for permission names they do not know
+          results[perm] = "not available";
+        }
+      }
+
+      return results;
+    }
+  }
+
+  /**
+   * Register a signal collector
+   * @param {String} name - Signal name, used in presets, `signals` and `exclude`
+   * @param {Object} definition - Signal definition
+   * @param {Function} definition.collect - Called with the DevicePrint instance (also bound as `this`); returns the value, or a Promise when `async` is set
+   * @param {String|Array} definition.type - Value kind(s) the collector returns: 'string', 'number', 'boolean', 'object', 'array' or 'null' (default null, unchecked); the server checks submitted values against it
+   * @param {Boolean} definition.async - Whether collect returns a Promise
+   * @param {String} definition.stability - 'stable', 'version' (changes with browser/driver updates) or 'dynamic'
+   * @param {Boolean} definition.permissions - Whether collecting may query or request permissions
+   * @param {Number} definition.timeout - Default timeout in ms for async signals (overridden by the timeout/timeouts options)
+   * @param {Number} definition.weight - Relative weight in DevicePrint.compare() (default 1)
+   * @param {Number} definition.version - Output format version (default 1); bump it when the collector's output changes
+   * @param {Number} definition.cacheTtl - How long in ms the cache option may reuse a value (default 0, never cached)
+   * @param {Number} definition.entropy - Estimated identifying information in bits (default null, unknown)
+   * @param {String} definition.risk - 'none', 'permission' (reads permission state) or 'prompt' (may show a prompt); defaults from `permissions`
+   * @param {String} definition.worker - With the worker option: 'offload' collects it in the worker only, 'compare' in both places to report differences; omit for page-only collectors
+   * @param {Boolean} definition.deferred - Collect after all other signals (and the worker), so the collector can reuse their components
+   * @param {Array} definition.presets - Preset names the signal should be added to
+   */
+  DevicePrint.registerSignal = function (name, definition) {
+    if (typeof name !== "string" || name === "") {
+      throw new TypeError("Signal name must be a non-empty string");
+    }
+    if (!definition || typeof definition.collect !== "function") {
+      throw new TypeError(`Signal "${name}" must define a collect function`);
+    }
+    const type = definition.type || null;
+    if (
+      type !== null &&
+      ![].concat(type).every((kind) => SIGNAL_VALUE_TYPES.includes(kind))
+    ) {
+      throw new TypeError(
+        `Signal "${name}" has an unknown type ${JSON.stringify(type)}`,
+      );
+    }
+
+    SIGNAL_REGISTRY[name] = {
+      collect: definition.collect,
+      type,
+      async: !!definition.async,
+      stability: definition.stability || "stable",
+      permissions: !!definition.permissions,
+      timeout: definition.timeout,
+      weight: typeof definition.weight === "number" ? definition.weight : 1,
+      version: typeof definition.version === "number" ? definition.version : 1,
+      cacheTtl:
+        typeof definition.cacheTtl === "number" ? definition.cacheTtl : 0,
+      entropy:
+        typeof definition.entropy === "number" ? definition.entropy : null,
+      risk: definition.risk || (definition.permissions ? "permission" : "none"),
+      worker: definition.worker || null,
+      deferred: !!definition.deferred,
+    };
+
+    if (Array.isArray(definition.presets)) {
+      for (const preset of definition.presets) {
+        const list = SIGNAL_PRESETS[preset.toUpperCase()];
+        if (list && !list.includes(name)) {
+          list.push(name);
+        }
+      }
+    }
+  };
+
+  /**
+   * Remove a registered signal and drop it from all presets
+   */
+  DevicePrint.unregisterSignal = function (name) {
+    delete SIGNAL_REGISTRY[name];
+
+    for (const preset of Object.keys(SIGNAL_PRESETS)) {
+      const index = SIGNAL_PRESETS[preset].indexOf(name);
+      if (index >= 0) {
+        SIGNAL_PRESETS[preset].splice(index, 1);
+      }
+    }
+  };
+
+  /**
+   * Get the definition of a registered signal (null if unknown)
+   */
+  DevicePrint.getSignalDefinition = function (name) {
+    const signal = getSignal(name);
+    return signal ? Object.assign({}, signal) : null;
+  };
+
+  /**
+   * Get the names of all registered signals
+   */
+  DevicePrint.getRegisteredSignals = function () {
+    return Object.keys(SIGNAL_REGISTRY);
+  };
+
+  /**
+   * Register a consistency rule run by getConsistency() and the hasLied* signals
+   * @param {String} name - Unique rule name reported in inconsistencies
+   * @param {Object} definition - Rule definition
+   * @param {Function} definition.check - (context) => true when the environment is inconsistent
+   * @param {String} definition.category - Groups rules; 'os', 'browser', 'languages' and 'resolution' feed the hasLied* signals
+   * @param {String} definition.severity - 'low', 'medium' (default) or 'high'
+   */
+  DevicePrint.registerConsistencyRule = function (name, definition) {
+    if (typeof name !== "string" || name === "") {
+      throw new TypeError("Rule name must be a non-empty string");
+    }
+    if (!definition || typeof definition.check !== "function") {
+      throw new TypeError(`Rule "${name}" must define a check function`);
+    }
+    const severity = definition.severity || "medium";
+    if (!CONSISTENCY_SEVERITIES.includes(severity)) {
+      throw new TypeError(
+        `Rule "${name}" has an unknown severity "${severity}"`,
+      );
+    }
+
+    CONSISTENCY_RULES[name] = {
+      check: definition.check,
+      category: definition.category || "other",
+      severity,
+    };
+  };
+
+  /**
+   * Remove a registered consistency rule
+   */
+  DevicePrint.unregisterConsistencyRule = function (name) {
+    delete CONSISTENCY_RULES[name];
+  };
+
+  /**
+   * Get the names of all registered consistency rules
+   */
+  DevicePrint.getConsistencyRules = function () {
+    return Object.keys(CONSISTENCY_RULES);
+  };
+
+  /**
+   * Split a fingerprint into its schema version, algorithm and hash.
+   * Fingerprints from before schema tagging have a null schemaVersion and algorithm.
+   * @param {String} fingerprint - Fingerprint from generate()
+   * @returns {Object} { schemaVersion, algorithm, hash }
+   */
+  DevicePrint.parseFingerprint = function (fingerprint) {
+    const match = /^v(\d+):([a-z0-9]+):(.+)$/.exec(String(fingerprint));
+    return match
+      ? { schemaVersion: Number(match[1]), algorithm: match[2], hash: match[3] }
+      : { schemaVersion: null, algorithm: null, hash: fingerprint };
+  };
+
+  /**
+   * Check whether two fingerprints were computed under compatible schemas, so
+   * that comparing them is meaningful
+   * @param {Object|String} a - Stored generate() result (or just its fingerprint)
+   * @param {Object|String} b - Fresh generate() result (or just its fingerprint)
+   * @returns {Object} { compatible, reasons, changedSignals } where reasons lists 'schemaVersion', 'algorithm' and/or 'signalVersions'
+   */
+  DevicePrint.checkCompatibility = function (a, b) {
+    const resultA = typeof a === "string" ? { fingerprint: a } : a;
+    const resultB = typeof b === "string" ? { fingerprint: b } : b;
+    const parsedA = DevicePrint.parseFingerprint(resultA.fingerprint);
+    const parsedB = DevicePrint.parseFingerprint(resultB.fingerprint);
+    const reasons = [];
+
+    if (
+      parsedA.schemaVersion === null ||
+      parsedA.schemaVersion !== parsedB.schemaVersion
+    ) {
+      reasons.push("schemaVersion");
+    }
+    if (parsedA.algorithm !== parsedB.algorithm) {
+      reasons.push("algorithm");
+    }
+
+    // Signals whose collector output changed between the two runs
+    const changedSignals = [];
+    if (resultA.signalVersions && resultB.signalVersions) {
+      for (const name of Object.keys(resultA.signalVersions)) {
+        if (
+          name in resultB.signalVersions &&
+          resultA.signalVersions[name] !== resultB.signalVersions[name]
+        ) {
+          changedSignals.push(name);
+        }
+      }
+    }
+    if (changedSignals.length > 0) {
+      reasons.push("signalVersions");
+    }
+
+    return { compatible: reasons.length === 0, reasons, changedSignals };
+  };
+
+  /**
+   * Estimate how much identifying information a signal selection carries.
+   * Bits are summed as if signals were independent, so the total is an upper bound.
+   * @param {String|Array} signals - Preset name or array of signal names
+   * @returns {Object} { total, signals, unknown } with bits per signal and the signals without an estimate
+   */
+  DevicePrint.estimateEntropy = function (signals) {
+    const names = Array.isArray(signals)
+      ? signals
+      : SIGNAL_PRESETS[String(signals).toUpperCase()] || [];
+    const bits = {};
+    const unknown = [];
+    let total = 0;
+
+    for (const name of names) {
+      const signal = getSignal(name);
+      if (!signal || signal.entropy === null) {
+        unknown.push(name);
+        continue;
+      }
+      bits[name] = signal.entropy;
+      total += signal.entropy;
+    }
+
+    return { total: Math.round(total * 10) / 10, signals: bits, unknown };
+  };
+
+  /**
+   * Compare two component sets and score how likely they come from the same device
+   * @param {Object} componentsA - Components from a previous generate() result (null counts as empty)
+   * @param {Object} componentsB - Components from a fresh generate() result (null counts as empty)
+   * @param {Object} options - Comparison options
+   * @param {Object} options.weights - Per-signal weight overrides, e.g. { userAgent: 0.5 }
+   * @returns {Object} { score, diff, changed } where score is a weighted 0-1 similarity
+   */
+  DevicePrint.compare = function (componentsA, componentsB, options = {}) {
+    componentsA = componentsA || {};
+    componentsB = componentsB || {};
+    const weights = options.weights || {};
+    const names = Object.keys(componentsA);
+    for (const name of Object.keys(componentsB)) {
+      if (!names.includes(name)) names.push(name);
+    }
+
+    const diff = {};
+    const changed = [];
+    let totalWeight = 0;
+    let weightedSimilarity = 0;
+
+    for (const name of names.sort()) {
+      const signal = getSignal(name);
+      const weight =
+        typeof weights[name] === "number"
+          ? weights[name]
+          : signal
+            ? signal.weight
+            : 1;
+      const inA = Object.prototype.hasOwnProperty.call(componentsA, name);
+      const inB = Object.prototype.hasOwnProperty.call(componentsB, name);
+      const a = componentsA[name];
+      const b = componentsB[name];
+
+      // Failed or randomized collections say nothing about the device, so they are not scored
+      if (
+        inA &&
+        inB &&
+        (isFailedValue(a) ||
+          isFailedValue(b) ||
+          isRandomizedValue(a) ||
+          isRandomizedValue(b))
+      ) {
+        diff[name] = { status: "skipped", similarity: null, weight };
+        continue;
+      }
+
+      let status;
+      let similarity;
+      if (!inA || !inB) {
+        status = inA ? "removed" : "added";
+        similarity = 0;
+      } else {
+        similarity = valueSimilarity(a, b);
+        status = similarity === 1 ? "same" : "changed";
+      }
+
+      if (status !== "same") changed.push(name);
+      diff[name] = { status, similarity, weight };
+      totalWeight += weight;
+      weightedSimilarity += weight * similarity;
+    }
+
+    return {
+      score: totalWeight > 0 ? weightedSimilarity / totalWeight : 0,
+      diff,
+      changed,
+    };
+  };
+
+  /**
+   * IndexedDB database and object store used by the "indexedDB" identity store
+   */
+  const IDENTITY_DB_NAME = "deviceprint";
+  const IDENTITY_DB_STORE = "identity";
+
+  /**
+   * Cookie lifetime for the "cookie" identity store, in seconds (one year)
+   */
+  const IDENTITY_COOKIE_MAX_AGE = 31536000;
+
+  /**
+   * Run a request against the identity object store and resolve with its result
+   */
+  function identityDBRequest(mode, run) {
+    return new Promise((resolve, reject) => {
+      const open = window.indexedDB.open(IDENTITY_DB_NAME, 1);
+      open.onupgradeneeded = () => {
+        open.result.createObjectStore(IDENTITY_DB_STORE);
+      };
+      open.onerror = () => reject(open.error);
+      open.onsuccess = () => {
+        const db = open.result;
+        const transaction = db.transaction(IDENTITY_DB_STORE, mode);
+        const request = run(transaction.objectStore(IDENTITY_DB_STORE));
+        transaction.oncomplete = () => {
+          db.close();
+          resolve(request.result);
+        };
+        transaction.onerror = () => {
+          db.close();
+          reject(transaction.error);
+        };
+      };
+    });
+  }
+
+  /**
+   * Built-in stores for DevicePrint.Identity records.
+   * Every store has async get(key), set(key, record) and remove(key).
+   */
+  const IDENTITY_STORES = {
+    localStorage: {
+      get: async (key) => {
+        const value = window.localStorage.getItem(key);
+        return value ? JSON.parse(value) : null;
+      },
+      set: async (key, record) => {
+        window.localStorage.setItem(key, JSON.stringify(record));
+      },
+      remove: async (key) => {
+        window.localStorage.removeItem(key);
+      },
+    },
+    indexedDB: {
+      get: async (key) =>
+        (await identityDBRequest("readonly", (store) => store.get(key))) ||
+        null,
+      set: async (key, record) => {
+        await identityDBRequest("readwrite", (store) => store.put(record, key));
+      },
+      remove: async (key) => {
+        await identityDBRequest("readwrite", (store) => store.delete(key));
+      },
+    },
+    // Browsers drop cookies over 4 KB, so this suits small signal sets only
+    cookie: {
+      get: async (key) => {
+        const prefix = key + "=";
+        const cookie = document.cookie
+          .split("; ")
+          .find((entry) => entry.indexOf(prefix) === 0);
+        return cookie
+          ? JSON.parse(decodeURIComponent(cookie.slice(prefix.length)))
+          : null;
+      },
+      set: async (key, record) => {
+        document.cookie =
+          key +
+          "=" +
+          encodeURIComponent(JSON.stringify(record)) +
+          "; max-age=" +
+          IDENTITY_COOKIE_MAX_AGE +
+          "; path=/; SameSite=Lax";
+      },
+      remove: async (key) => {
+        document.cookie = key + "=; max-age=0; path=/; SameSite=Lax";
+      },
+    },
+  };
+
+  /**
+   * Generate a random visitor ID
+   */
+  function createVisitorId() {
+    const crypto = window.crypto;
+    if (crypto && typeof crypto.randomUUID === "function") {
+      return crypto.randomUUID();
+    }
+
+    const bytes = new Uint8Array(16);
+    if (crypto && typeof crypto.getRandomValues === "function") {
+      crypto.getRandomValues(bytes);
+    } else {
+      for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = Math.floor(Math.random() * 256);
+      }
+    }
+    return toHex(bytes);
+  }
+
+  /**
+   * Persistent visitor ID that survives small fingerprint drift.
+   * The last components and visitor ID are stored on the device; the next
+   * identify() compares fresh components with them and keeps the visitor ID
+   * when DevicePrint.compare() scores at least the threshold.
+   */
+  class Identity {
+    /**
+     * @param {Object} options - DevicePrint options plus the identity options below
+     * @param {String|Object} options.storage - 'localStorage' (default), 'indexedDB', 'cookie' or a { get, set, remove } store
+     * @param {String} options.key - Storage key, default 'deviceprint_identity'
+     * @param {Number} options.threshold - Minimum compare() score to keep the visitor ID, default 0.85
+     * @param {Object} options.weights - Per-signal weight overrides passed to compare()
+     * @param {DevicePrint} options.devicePrint - Instance to generate with; created from options when omitted
+     */
+    constructor(options = {}) {
+      const storage = options.storage || "localStorage";
+      if (typeof storage === "string") {
+        if (!Object.prototype.hasOwnProperty.call(IDENTITY_STORES, storage)) {
+          throw new TypeError(`Unknown identity storage "${storage}"`);
+        }
+        this.store = IDENTITY_STORES[storage];
+      } else {
+        this.store = storage;
+      }
+
+      this.key = options.key || "deviceprint_identity";
+      this.threshold =
+        typeof options.threshold === "number" ? options.threshold : 0.85;
+      this.weights = options.weights;
+      this.devicePrint = options.devicePrint || new DevicePrint(options);
+    }
+
+    /**
+     * Generate a fingerprint and resolve it to a persistent visitor ID
+     * @param {Object} options - Passed to generate(), e.g. { signal }
+     * @returns {Promise<object>} { visitorId, isNew, score, drifted, result } where drifted lists the changed signals
+     */
+    async identify(options = {}) {
+      const result = await this.devicePrint.generate(options);
+      // A blocked or corrupted store (SecurityError, invalid JSON) means no stored record
+      let stored = null;
       try {
-        if (!navigator.permissions) return "not supported";
-
-        const permNames = [
-          "geolocation",
-          "notifications",
-          "microphone",
-          "camera",
-        ];
-        const results = {};
-
-        for (const perm of permNames) {
-          try {
-            const result = await navigator.permissions.query({ name: perm });
-            results[perm] = result.state;
-          } catch {
-            results[perm] = "not available";
-          }
+        stored = await this.store.get(this.key);
+      } catch (error) {
+        stored = null;
+      }
+
+      let visitorId = null;
+      let score = null;
+      let drifted = [];
+      if (stored && stored.visitorId && stored.components) {
+        const comparison = DevicePrint.compare(
+          stored.components,
+          result.components,
+          { weights: this.weights },
+        );
+        score = comparison.score;
+        drifted = comparison.changed;
+        if (score >= this.threshold) {
+          visitorId = stored.visitorId;
         }
+      }
 
-        return results;
-      } catch (e) {
-        return "not supported";
+      const isNew = visitorId === null;
+      if (isNew) {
+        visitorId = createVisitorId();
+      }
+
+      // The visitor ID is still returned when the store refuses to save it
+      try {
+        await this.store.set(this.key, {
+          visitorId,
+          components: result.components,
+          updatedAt: Date.now(),
+        });
+      } catch (error) {
+        // Nothing to recover; the next run starts as a new visitor
       }
+
+      return { visitorId, isNew, score, drifted, result };
+    }
+
+    /**
+     * Forget the stored visitor ID and components
+     */
+    async clear() {
+      await this.store.remove(this.key);
     }
   }
 
+  DevicePrint.Identity = Identity;
+
+  // Built-in signals
+  // Stable signals (DEFAULT preset)
+  DevicePrint.registerSignal("language", {
+    collect: (dp) => dp.getLanguage(),
+    type: "string",
+    entropy: 4.5,
+    worker: "compare",
+  });
+  DevicePrint.registerSignal("colorDepth", {
+    collect: (dp) => dp.getColorDepth(),
+    type: "number",
+    entropy: 0.9,
+  });
+  DevicePrint.registerSignal("screenResolution", {
+    collect: (dp) => dp.getScreenResolution(),
+    type: "array",
+    weight: 2,
+    entropy: 4.8,
+  });
+  DevicePrint.registerSignal("availableScreenResolution", {
+    collect: (dp) => dp.getAvailableScreenResolution(),
+    type: "array",
+    entropy: 5.5,
+  });
+  DevicePrint.registerSignal("timezoneOffset", {
+    collect: (dp) => dp.getTimezoneOffset(),
+    type: "number",
+    entropy: 3,
+    worker: "compare",
+  });
+  DevicePrint.registerSignal("timezone", {
+    collect: (dp) => dp.getTimezone(),
+    type: "string",
+    weight: 2,
+    entropy: 3.7,
+    worker: "compare",
+  });
+  DevicePrint.registerSignal("sessionStorage", {
+    collect: (dp) => dp.hasSessionStorage(),
+    type: "boolean",
+    weight: 0.5,
+    entropy: 0.1,
+  });
+  DevicePrint.registerSignal("localStorage", {
+    collect: (dp) => dp.hasLocalStorage(),
+    type: "boolean",
+    weight: 0.5,
+    entropy: 0.1,
+  });
+  DevicePrint.registerSignal("indexedDB", {
+    collect: (dp) => dp.hasIndexedDB(),
+    type: "boolean",
+    weight: 0.5,
+    entropy: 0.1,
+  });
+  DevicePrint.registerSignal("platform", {
+    collect: (dp) => dp.getPlatform(),
+    type: "string",
+    entropy: 2.3,
+    worker: "compare",
+  });
+  DevicePrint.registerSignal("doNotTrack", {
+    collect: (dp) => dp.getDoNotTrack(),
+    type: ["string", "null"],
+    weight: 0.5,
+    entropy: 1,
+  });
+  DevicePrint.registerSignal("cookieEnabled", {
+    collect: (dp) => dp.getCookieEnabled(),
+    type: "boolean",
+    weight: 0.5,
+    entropy: 0.1,
+  });
+  DevicePrint.registerSignal("hardwareConcurrency", {
+    collect: (dp) => dp.getHardwareConcurrency(),
+    type: "number",
+    entropy: 2,
+    worker: "compare",
+  });
+  DevicePrint.registerSignal("deviceMemory", {
+    collect: (dp) => dp.getDeviceMemory(),
+    type: "number",
+    entropy: 1.5,
+    worker: "compare",
+  });
+  DevicePrint.registerSignal("touchSupport", {
+    collect: (dp) => dp.getTouchSupport(),
+    type: "object",
+    entropy: 1.2,
+  });
+  DevicePrint.registerSignal("fonts", {
+    collect: (dp) => dp.getFonts(),
+    type: "object",
+    weight: 3,
+    cacheTtl: DAY,
+    entropy: 10,
+    version: 2,
+    worker: "offload",
+  });
+  DevicePrint.registerSignal("localeInfo", {
+    collect: (dp) => dp.getLocaleInfo(),
+    type: "object",
+    entropy: 3.5,
+    worker: "compare",
+  });
+  DevicePrint.registerSignal("screenOrientation", {
+    collect: (dp) => dp.getScreenOrientation(),
+    type: "object",
+    entropy: 0.5,
+  });
+  DevicePrint.registerSignal("mathFingerprint", {
+    collect: (dp) => dp.getMathFingerprint(),
+    type: "object",
+    entropy: 2,
+    version: 2,
+    worker: "compare",
+  });
+  DevicePrint.registerSignal("mediaPreferences", {
+    collect: (dp) => dp.getMediaPreferences(),
+    type: "object",
+    entropy: 2,
+  });
+  DevicePrint.registerSignal("pointerInfo", {
+    collect: (dp) => dp.getPointerInfo(),
+    type: "object",
+    entropy: 1,
+  });
+
+  // Version-sensitive signals (EXTENDED preset)
+  DevicePrint.registerSignal("userAgent", {
+    collect: (dp) => dp.getUserAgent(),
+    type: "string",
+    stability: "version",
+    weight: 2,
+    entropy: 10,
+    worker: "compare",
+  });
+  DevicePrint.registerSignal("clientHints", {
+    collect: (dp) => dp.getClientHints(),
+    type: "object",
+    async: true,
+    stability: "version",
+    weight: 2,
+    entropy: 6,
+  });
+  DevicePrint.registerSignal("cpuClass", {
+    collect: (dp) => dp.getCpuClass(),
+    type: "string",
+    stability: "version",
+    entropy: 0.1,
+  });
+  DevicePrint.registerSignal("plugins", {
+    collect: (dp) => dp.getPlugins(),
+    type: "array",
+    stability: "version",
+    weight: 2,
+    entropy: 3,
+  });
+  DevicePrint.registerSignal("canvas", {
+    collect: (dp) => dp.getCanvasFingerprint(),
+    type: "object",
+    async: true,
+    stability: "version",
+    weight: 3,
+    cacheTtl: DAY,
+    entropy: 8,
+    version: 3,
+    worker: "offload",
+  });
+  DevicePrint.registerSignal("webgl", {
+    collect: (dp) => dp.getWebGLFingerprint(),
+    type: "object",
+    stability: "version",
+    weight: 2,
+    cacheTtl: DAY,
+    entropy: 6,
+    worker: "offload",
+  });
+  DevicePrint.registerSignal("webglVendor", {
+    collect: (dp) => dp.getWebGLVendor(),
+    type: "string",
+    stability: "version",
+    cacheTtl: DAY,
+    entropy: 2,
+    worker: "offload",
+  });
+  DevicePrint.registerSignal("adBlock", {
+    collect: (dp) => dp.getAdBlock(),
+    type: "boolean",
+    stability: "version",
+    weight: 0.5,
+    entropy: 1,
+  });
+  DevicePrint.registerSignal("hasLiedLanguages", {
+    collect: (dp) => dp.getHasLiedLanguages(),
+    type: "boolean",
+    stability: "version",
+    weight: 0.5,
+    entropy: 0.2,
+    version: 2,
+    deferred: true,
+  });
+  DevicePrint.registerSignal("hasLiedResolution", {
+    collect: (dp) => dp.getHasLiedResolution(),
+    type: "boolean",
+    stability: "version",
+    weight: 0.5,
+    entropy: 0.2,
+    deferred: true,
+  });
+  DevicePrint.registerSignal("hasLiedOs", {
+    collect: (dp) => dp.getHasLiedOs(),
+    type: "boolean",
+    stability: "version",
+    weight: 0.5,
+    entropy: 0.2,
+    version: 2,
+    deferred: true,
+  });
+  DevicePrint.registerSignal("hasLiedBrowser", {
+    collect: (dp) => dp.getHasLiedBrowser(),
+    type: "boolean",
+    stability: "version",
+    weight: 0.5,
+    entropy: 0.2,
+    version: 2,
+    deferred: true,
+  });
+  DevicePrint.registerSignal("consistency", {
+    collect: (dp) => dp.getConsistency(),
+    type: "array",
+    stability: "version",
+    weight: 0.5,
+    entropy: 0.5,
+    deferred: true,
+  });
+  DevicePrint.registerSignal("botSignals", {
+    collect: (dp) => dp.getBotSignals(),
+    type: "object",
+    stability: "version",
+    weight: 0.5,
+    entropy: 0.3,
+    deferred: true,
+  });
+  DevicePrint.registerSignal("crossContext", {
+    // Only the property names: a spoofer that randomizes per window would
+    // otherwise change the component on every read
+    collect: (dp) => {
+      const mismatches = dp.getCrossContextMismatches();
+      return Array.isArray(mismatches)
+        ? mismatches.map((mismatch) => mismatch.property)
+        : mismatches;
+    },
+    type: "array",
+    stability: "version",
+    weight: 0.5,
+    entropy: 0.3,
+  });
+  DevicePrint.registerSignal("audio", {
+    collect: (dp) => dp.getAudioFingerprint(),
+    type: "object",
+    async: true,
+    timeout: 1000,
+    stability: "version",
+    weight: 2,
+    cacheTtl: DAY,
+    entropy: 4.5,
+    version: 2,
+  });
+  DevicePrint.registerSignal("mediaSupport", {
+    collect: (dp) => dp.getMediaSupport(),
+    type: "object",
+    stability: "version",
+    entropy: 2.5,
+  });
+  DevicePrint.registerSignal("webglRender", {
+    collect: (dp) => dp.getWebGLRenderFingerprint(),
+    type: "string",
+    async: true,
+    stability: "version",
+    weight: 2,
+    cacheTtl: DAY,
+    entropy: 6,
+    worker: "offload",
+  });
+  DevicePrint.registerSignal("webgpu", {
+    collect: (dp) => dp.getWebGPUInfo(),
+    type: "object",
+    async: true,
+    timeout: 1000,
+    stability: "version",
+    weight: 2,
+    cacheTtl: DAY,
+    entropy: 5,
+  });
+  DevicePrint.registerSignal("extendedWebGL", {
+    collect: (dp) => dp.getExtendedWebGLInfo(),
+    type: "object",
+    stability: "version",
+    weight: 2,
+    cacheTtl: DAY,
+    entropy: 6.5,
+    version: 2,
+    worker: "offload",
+  });
+  DevicePrint.registerSignal("speechVoices", {
+    collect: (dp) => dp.getSpeechVoices(),
+    type: "array",
+    async: true,
+    timeout: 1000,
+    stability: "version",
+    weight: 2,
+    cacheTtl: HOUR,
+    entropy: 5,
+  });
+
+  // Dynamic/permission signals (FULL preset)
+  DevicePrint.registerSignal("networkInfo", {
+    collect: (dp) => dp.getNetworkInfo(),
+    type: "object",
+    stability: "dynamic",
+    weight: 0.25,
+    entropy: 2,
+  });
+  DevicePrint.registerSignal("batteryInfo", {
+    collect: (dp) => dp.getBatteryInfo(),
+    type: "object",
+    async: true,
+    stability: "dynamic",
+    permissions: true,
+    weight: 0.25,
+    entropy: 1,
+  });
+  DevicePrint.registerSignal("mediaDevices", {
+    collect: (dp) => dp.getMediaDevices(),
+    type: "object",
+    async: true,
+    timeout: 1000,
+    stability: "dynamic",
+    permissions: true,
+    cacheTtl: 5 * MINUTE,
+    entropy: 2,
+  });
+  DevicePrint.registerSignal("gamepads", {
+    collect: (dp) => dp.getGamepads(),
+    type: "object",
+    stability: "dynamic",
+    weight: 0.25,
+    entropy: 0.5,
+  });
+  DevicePrint.registerSignal("performanceMetrics", {
+    collect: (dp) => dp.getPerformanceMetrics(),
+    type: "object",
+    async: true,
+    stability: "dynamic",
+    entropy: 1,
+  });
+  DevicePrint.registerSignal("permissions", {
+    collect: (dp) => dp.getPermissions(),
+    type: "object",
+    async: true,
+    timeout: 1000,
+    stability: "dynamic",
+    permissions: true,
+    cacheTtl: 5 * MINUTE,
+    entropy: 2,
+  });
+
+  // Built-in consistency rules
+  // Languages
+  DevicePrint.registerConsistencyRule("languagesList", {
+    category: "languages",
+    severity: "low",
+    check: (ctx) =>
+      Array.isArray(ctx.languages) &&
+      ctx.languages.length > 0 &&
+      typeof ctx.language === "string" &&
+      ctx.languages[0].substr(0, 2) !== ctx.language.substr(0, 2),
+  });
+  DevicePrint.registerConsistencyRule("intlLocale", {
+    category: "languages",
+    severity: "medium",
+    // Overriding navigator.language from script does not change the Intl locale.
+    // The Intl locale follows the UI language, which multilingual users often
+    // rank below their preferred content language, so any listed language matches.
+    check: (ctx) => {
+      const languages =
+        Array.isArray(ctx.languages) && ctx.languages.length > 0
+          ? ctx.languages
+          : [ctx.language];
+      if (
+        typeof Intl === "undefined" ||
+        typeof Intl.DateTimeFormat !== "function" ||
+        typeof languages[0] !== "string"
+      ) {
+        return false;
+      }
+      const primary = (tag) => String(tag).split("-")[0].toLowerCase();
+      const locale = primary(
+        new Intl.DateTimeFormat().resolvedOptions().locale,
+      );
+      return !languages.some((language) => primary(language) === locale);
+    },
+  });
+
+  // Resolution
+  DevicePrint.registerConsistencyRule("screenAvailable", {
+    category: "resolution",
+    severity: "medium",
+    check: (ctx) =>
+      ctx.screen.width < ctx.screen.availWidth ||
+      ctx.screen.height < ctx.screen.availHeight,
+  });
+
+  // OS
+  DevicePrint.registerConsistencyRule("oscpuPlatform", {
+    category: "os",
+    severity: "high",
+    check: (ctx) => {
+      if (!ctx.oscpu) return false;
+      const oscpu = ctx.oscpu.toLowerCase();
+      const platform = ctx.platform.toLowerCase();
+      return ["win", "linux", "mac"].some(
+        (os) => oscpu.indexOf(os) >= 0 && platform.indexOf(os) < 0,
+      );
+    },
+  });
+  DevicePrint.registerConsistencyRule("userAgentPlatform", {
+    category: "os",
+    severity: "high",
+    check: (ctx) => {
+      const platformFamily = detectPlatformFamily(ctx.platform);
+      return (
+        !!platformFamily &&
+        !!ctx.osFamily &&
+        !PLATFORM_OS_FAMILIES[platformFamily].includes(ctx.osFamily)
+      );
+    },
+  });
+  DevicePrint.registerConsistencyRule("clientHintsPlatform", {
+    category: "os",
+    severity: "high",
+    check: (ctx) => {
+      if (!ctx.userAgentData || !ctx.userAgentData.platform) return false;
+      const hintedOs =
+        CLIENT_HINT_PLATFORMS[ctx.userAgentData.platform.toLowerCase()];
+      return !!hintedOs && !!ctx.osFamily && hintedOs !== ctx.osFamily;
+    },
+  });
+  DevicePrint.registerConsistencyRule("webglRenderer", {
+    category: "os",
+    severity: "medium",
+    check: (ctx) => {
+      if (!ctx.osFamily) return false;
+      const renderer = ctx.webglRenderer();
+      if (!renderer) return false;
+      // Direct3D is Windows-only; Apple GPUs only ship in Macs and iOS devices;
+      // Adreno, Mali and PowerVR are mobile GPUs never found in Macs
+      if (renderer.indexOf("direct3d") >= 0 && ctx.osFamily !== "windows") {
+        return true;
+      }
+      if (/apple (m\d|gpu)/.test(renderer)) {
+        return ctx.osFamily !== "mac" && ctx.osFamily !== "ios";
+      }
+      return /adreno|mali|powervr/.test(renderer) && ctx.osFamily === "mac";
+    },
+  });
+  DevicePrint.registerConsistencyRule("fonts", {
+    category: "os",
+    severity: "low",
+    check: (ctx) => {
+      // A custom fonts.list may leave the core fonts out; absent from the
+      // probe, they cannot be judged missing
+      const coreFonts = (OS_CORE_FONTS[ctx.osFamily] || []).filter((font) =>
+        ctx.probedFonts.includes(font),
+      );
+      if (coreFonts.length === 0) return false;
+      const fonts = ctx.fonts();
+      return (
+        typeof fonts === "object" &&
+        fonts.detected.length > 0 &&
+        !coreFonts.some((font) => fonts.detected.includes(font))
+      );
+    },
+  });
+
+  // Browser
+  DevicePrint.registerConsistencyRule("productSub", {
+    category: "browser",
+    severity: "medium",
+    check: (ctx) =>
+      (ctx.userAgentLower.indexOf("chrome") >= 0 &&
+        ctx.productSub !== "20030107") ||
+      (ctx.userAgentLower.indexOf("firefox") >= 0 &&
+        ctx.productSub !== "20100101"),
+  });
+  DevicePrint.registerConsistencyRule("clientHintsBrands", {
+    category: "browser",
+    severity: "high",
+    // Only Chromium-based browsers implement client hints, and their brands
+    // must show up in the UA string
+    check: (ctx) => {
+      const uaData = ctx.userAgentData;
+      if (!uaData || !Array.isArray(uaData.brands)) return false;
+      const ua = ctx.userAgentLower;
+      const brands = uaData.brands.map((b) => b.brand.toLowerCase());
+      const isChromiumUa =
+        ua.indexOf("chrome") >= 0 || ua.indexOf("crios") >= 0;
+
+      if (brands.includes("chromium") && !isChromiumUa) return true;
+      if (brands.includes("google chrome") && !isChromiumUa) return true;
+      if (brands.includes("microsoft edge") && ua.indexOf("edg") < 0) {
+        return true;
+      }
+      return ua.indexOf("firefox") >= 0;
+    },
+  });
+
+  // Device
+  DevicePrint.registerConsistencyRule("touchSupport", {
+    category: "device",
+    severity: "medium",
+    // Phones and tablets always report touch points
+    check: (ctx) => {
+      if (typeof ctx.maxTouchPoints !== "number") return false;
+      const mobile =
+        ctx.osFamily === "android" ||
+        ctx.osFamily === "ios" ||
+        !!(ctx.userAgentData && ctx.userAgentData.mobile);
+      return mobile && ctx.maxTouchPoints === 0;
+    },
+  });
+
+  // Timezone
+  DevicePrint.registerConsistencyRule("timezoneOffset", {
+    category: "timezone",
+    severity: "medium",
+    // Spoofing tools often patch either Intl or Date but not both
+    check: () => {
+      if (
+        typeof Intl === "undefined" ||
+        typeof Intl.DateTimeFormat !== "function"
+      ) {
+        return false;
+      }
+      const timeZone = new Intl.DateTimeFormat().resolvedOptions().timeZone;
+      if (!timeZone) return false;
+      const date = new Date();
+      return timeZoneOffset(timeZone, date) !== date.getTimezoneOffset();
+    },
+  });
+
   // Export signal presets for external use
   DevicePrint.PRESETS = SIGNAL_PRESETS;
+  DevicePrint.VERSION = VERSION;
+  DevicePrint.SCHEMA_VERSION = SCHEMA_VERSION;
 
   // Export for different module systems
   if (typeof module !== "undefined" && module.exports) {
@@ -0,0 +1,436 @@
+/**
+ * DevicePrint server - Verify fingerprints submitted by the browser library
+ *
+ * Node entry point (require("deviceprint/server")). It recomputes hashes with
+ * the same code as DevicePrint#computeHash, checks that the components are
+ * plausible, and scores them against a stored set with DevicePrint.compare().
+ * createChallenge() and verifyEnvelope() check payloads sealed with
+ * DevicePrint#seal(); they catch edits after sealing, replays (with seenNonces)
+ * and expired challenges. The page can read the challenge key, so a forged
+ * payload signed for a fresh challenge still passes.
+ */
+
+"use strict";
+
+const crypto = require("crypto");
+const DevicePrint = require("./deviceprint.js");
+
+/**
+ * Values a collector returns instead of device data; allowed for every signal
+ */
+const SENTINEL_VALUES = [
+  "timeout",
+  "error",
+  "not supported",
+  "not available",
+  "permission denied",
+  "unknown",
+];
+
+/**
+ * Value kinds accepted for a signal: the types option first, then the type
+ * declared on registerSignal. Returns undefined for unregistered signals and
+ * null for registered signals without a declared type.
+ */
+function signalType(name, types) {
+  if (types && Object.prototype.hasOwnProperty.call(types, name)) {
+    return types[name];
+  }
+  const definition = DevicePrint.getSignalDefinition(name);
+  return definition ? definition.type : undefined;
+}
+
+/**
+ * Whether n is an integer in [min, max]
+ */
+function isIntegerBetween(n, min, max) {
+  return Number.isInteger(n) && n >= min && n <= max;
+}
+
+/**
+ * Whether value is a [width, height] pair of screen dimensions
+ */
+function isScreenSize(value) {
+  return (
+    value.length === 2 && value.every((n) => isIntegerBetween(n, 0, 32768))
+  );
+}
+
+/**
+ * Range checks for values no real device reports, keyed by signal name
+ */
+const PLAUSIBILITY_CHECKS = {
+  colorDepth: (value) => value === -1 || isIntegerBetween(value, 1, 64),
+  screenResolution: isScreenSize,
+  availableScreenResolution: isScreenSize,
+  timezoneOffset: (value) => isIntegerBetween(value, -840, 720),
+  hardwareConcurrency: (value) => isIntegerBetween(value, 1, 1024),
+  deviceMemory: (value) => value >= 0.25 && value <= 1024,
+};
+
+/**
+ * Minimum compare() score for verify() to report a match with the reference
+ */
+const DEFAULT_THRESHOLD = 0.85;
+
+/**
+ * How long a challenge may be used after it was issued, in ms
+ */
+const DEFAULT_CHALLENGE_TTL = 5 * 60 * 1000;
+
+/**
+ * Tolerated difference between client and server clocks, in ms
+ */
+const CLOCK_SKEW = 60 * 1000;
+
+/**
+ * Kind of a component value: "null", "array" or its typeof
+ */
+function kindOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+/**
+ * SHA-256 hex digest, as produced by crypto.subtle in the browser
+ */
+function sha256(str) {
+  return crypto.createHash("sha256").update(str).digest("hex");
+}
+
+/**
+ * String hash functions for each fingerprint algorithm
+ */
+const HASH_FUNCTIONS = {
+  sha256,
+  murmur3: DevicePrint.prototype.murmurHash3,
+};
+
+/**
+ * Whether algorithm names one of HASH_FUNCTIONS (not an inherited key like "constructor")
+ */
+function isHashAlgorithm(algorithm) {
+  return Object.prototype.hasOwnProperty.call(HASH_FUNCTIONS, algorithm);
+}
+
+/**
+ * Run a DevicePrint hashing method on a component set, with the given algorithm
+ */
+async function runHashMethod(method, components, algorithm) {
+  const hashString = isHashAlgorithm(algorithm)
+    ? HASH_FUNCTIONS[algorithm]
+    : null;
+  if (!hashString) {
+    throw new TypeError(`Unknown hash algorithm "${algorithm}"`);
+  }
+  return DevicePrint.prototype[method].call({
+    components,
+    hashString: async (str) => hashString(str),
+    digest: async (str) => ({ algorithm, hash: hashString(str) }),
+  });
+}
+
+/**
+ * Recompute the fingerprint of a component set exactly like DevicePrint#computeHash
+ * @param {Object} components - Submitted components
+ * @param {String} algorithm - 'sha256' (default) or 'murmur3' for browsers without crypto.subtle or with hashAlgorithm: 'murmur3'
+ * @returns {Promise<string>} Fingerprint hash
+ */
+function computeHash(components, algorithm = "sha256") {
+  return runHashMethod("computeHash", components, algorithm);
+}
+
+/**
+ * Recompute per-component hashes exactly like DevicePrint#computeComponentHashes
+ * @param {Object} components - Submitted components
+ * @param {String} algorithm - 'sha256' (default) or 'murmur3'
+ * @returns {Promise<object>} Map of signal name to hash
+ */
+function computeComponentHashes(components, algorithm = "sha256") {
+  return runHashMethod("computeComponentHashes", components, algorithm);
+}
+
+/**
+ * Check that a component set has the shape the browser library produces
+ * @param {Object} components - Submitted components
+ * @param {Object} options - Validation options
+ * @param {Object} options.types - Value kinds for custom signals, e.g. { colorGamut: 'string' }
+ * @param {Boolean} options.allowUnknown - Accept signals without a known type
+ * @returns {Array} Issues as { code, signal, message }; empty when the components are plausible
+ */
+function validateComponents(components, options = {}) {
+  if (kindOf(components) !== "object") {
+    return [
+      {
+        code: "invalidPayload",
+        signal: null,
+        message: "components must be an object",
+      },
+    ];
+  }
+
+  const issues = [];
+
+  for (const name of Object.keys(components)) {
+    const value = components[name];
+    const expected = signalType(name, options.types);
+
+    if (expected === undefined) {
+      if (!options.allowUnknown) {
+        issues.push({
+          code: "unknownSignal",
+          signal: name,
+          message: `Unknown signal "${name}"`,
+        });
+      }
+      continue;
+    }
+
+    // Collector fallbacks and randomized reads are valid for any signal
+    if (SENTINEL_VALUES.includes(value)) continue;
+    if (kindOf(value) === "object" && value.randomized === true) continue;
+
+    const kind = kindOf(value);
+    if (expected && ![].concat(expected).includes(kind)) {
+      issues.push({
+        code: "invalidType",
+        signal: name,
+        message: `Expected ${[].concat(expected).join(" or ")}, got ${kind}`,
+      });
+      continue;
+    }
+
+    const check = PLAUSIBILITY_CHECKS[name];
+    if (check && !check(value)) {
+      issues.push({
+        code: "implausibleValue",
+        signal: name,
+        message: `Implausible value ${JSON.stringify(value)}`,
+      });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Verify a payload submitted by the browser library
+ * @param {Object} payload - { components, fingerprint, componentHashes? } as returned by generate()
+ * @param {Object} options - Verification options (plus the validateComponents options)
+ * @param {Object} options.reference - Stored components to score the payload against
+ * @param {Object} options.weights - Per-signal weight overrides passed to DevicePrint.compare()
+ * @param {Number} options.threshold - Minimum score for match, default 0.85
+ * @returns {Promise<object>} { valid, issues, fingerprint, algorithm } plus { score, diff, changed, match } with a reference
+ */
+async function verify(payload, options = {}) {
+  if (kindOf(payload) !== "object") {
+    return {
+      valid: false,
+      issues: [
+        {
+          code: "invalidPayload",
+          signal: null,
+          message: "payload must be an object",
+        },
+      ],
+    };
+  }
+
+  const components = payload.components;
+  const issues = validateComponents(components, options);
+  const result = { valid: false, issues };
+  if (issues.some((issue) => issue.code === "invalidPayload")) {
+    return result;
+  }
+
+  // Browsers without crypto.subtle (insecure contexts) fall back to
+  // MurmurHash3; the fingerprint prefix names the algorithm used
+  const claimed = DevicePrint.parseFingerprint(payload.fingerprint);
+  if (!isHashAlgorithm(claimed.algorithm)) {
+    issues.push({
+      code: "unknownAlgorithm",
+      signal: null,
+      message:
+        claimed.algorithm === null
+          ? "fingerprint has no v<schema>:<algorithm>: prefix"
+          : `Unknown hash algorithm "${claimed.algorithm}"`,
+    });
+    return result;
+  }
+
+  result.algorithm = claimed.algorithm;
+  result.fingerprint = await computeHash(components, result.algorithm);
+  if (payload.fingerprint !== result.fingerprint) {
+    issues.push({
+      code: "hashMismatch",
+      signal: null,
+      message: "fingerprint does not match the components",
+    });
+  }
+
+  if (payload.componentHashes) {
+    const expected = await computeComponentHashes(components, result.algorithm);
+    const names = new Set(
+      Object.keys(expected).concat(Object.keys(payload.componentHashes)),
+    );
+    for (const name of names) {
+      if (payload.componentHashes[name] !== expected[name]) {
+        issues.push({
+          code: "componentHashMismatch",
+          signal: name,
+          message: `componentHashes.${name} does not match the component`,
+        });
+      }
+    }
+  }
+
+  if (options.reference) {
+    const comparison = DevicePrint.compare(options.reference, components, {
+      weights: options.weights,
+    });
+    const threshold =
+      typeof options.threshold === "number"
+        ? options.threshold
+        : DEFAULT_THRESHOLD;
+    Object.assign(result, comparison, { match: comparison.score >= threshold });
+  }
+
+  result.valid = issues.length === 0;
+  return result;
+}
+
+/**
+ * HMAC key handed out with a nonce; derived from the secret so no state is
+ * needed to check it later
+ */
+function challengeKey(secret, nonce) {
+  return crypto.createHmac("sha256", secret).update(nonce).digest("hex");
+}
+
+/**
+ * Issue a challenge for DevicePrint#seal() at session start
+ * @param {String|Buffer} secret - Server secret; never sent to the client
+ * @returns {Object} { nonce, key } to send to the client
+ */
+function createChallenge(secret) {
+  if (!secret) {
+    throw new TypeError("createChallenge() needs a secret");
+  }
+  // The issue time is part of the nonce so expiry needs no server state
+  const nonce = Date.now() + "." + crypto.randomBytes(16).toString("hex");
+  return { nonce, key: challengeKey(secret, nonce) };
+}
+
+/**
+ * Verify an envelope sealed by DevicePrint#seal(), then its payload with verify()
+ * @param {Object} envelope - { payload, signature } from seal()
+ * @param {Object} options - Verification options (plus the verify() options)
+ * @param {String|Buffer} options.secret - Secret passed to createChallenge()
+ * @param {Number} options.maxAge - How long a challenge stays valid in ms, default 5 minutes
+ * @param {Object} options.seenNonces - Set-like { has, add } (may be async) of used nonces, to reject replays
+ * @returns {Promise<object>} verify() result plus { nonce, timestamp, version }
+ */
+async function verifyEnvelope(envelope, options = {}) {
+  if (!options.secret) {
+    throw new TypeError("verifyEnvelope() needs the secret");
+  }
+  const reject = (code, message) => ({
+    valid: false,
+    issues: [{ code, signal: null, message }],
+  });
+
+  if (
+    kindOf(envelope) !== "object" ||
+    typeof envelope.payload !== "string" ||
+    typeof envelope.signature !== "string"
+  ) {
+    return reject("invalidEnvelope", "envelope must be { payload, signature }");
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(envelope.payload);
+  } catch (e) {
+    return reject("invalidEnvelope", "payload is not valid JSON");
+  }
+  if (kindOf(payload) !== "object" || typeof payload.nonce !== "string") {
+    return reject("invalidEnvelope", "payload has no nonce");
+  }
+
+  const key = Buffer.from(challengeKey(options.secret, payload.nonce), "hex");
+  const expected = crypto
+    .createHmac("sha256", key)
+    .update(envelope.payload)
+    .digest();
+  const signature = Buffer.from(envelope.signature, "hex");
+  if (
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(signature, expected)
+  ) {
+    return reject("badSignature", "signature does not match the payload");
+  }
+
+  // The signature proves the nonce was issued by createChallenge()
+  const issues = [];
+  const now = Date.now();
+  const issuedAt = Number(payload.nonce.split(".")[0]);
+  const maxAge =
+    typeof options.maxAge === "number" ? options.maxAge : DEFAULT_CHALLENGE_TTL;
+  if (now - issuedAt > maxAge) {
+    issues.push({
+      code: "expiredChallenge",
+      signal: null,
+      message: "challenge has expired",
+    });
+  }
+  if (
+    typeof payload.timestamp !== "number" ||
+    payload.timestamp < issuedAt - CLOCK_SKEW ||
+    payload.timestamp > now + CLOCK_SKEW
+  ) {
+    issues.push({
+      code: "invalidTimestamp",
+      signal: null,
+      message: "timestamp is outside the challenge lifetime",
+    });
+  }
+
+  if (options.seenNonces) {
+    if (await options.seenNonces.has(payload.nonce)) {
+      issues.push({
+        code: "replayedNonce",
+        signal: null,
+        message: "nonce was already used",
+      });
+    } else {
+      await options.seenNonces.add(payload.nonce);
+    }
+  }
+
+  const result = await verify(
+    {
+      components: payload.components,
+      fingerprint: payload.fingerprint,
+      componentHashes: payload.componentHashes,
+    },
+    options,
+  );
+  result.issues = issues.concat(result.issues);
+  result.valid = result.issues.length === 0;
+  return Object.assign(result, {
+    nonce: payload.nonce,
+    timestamp: payload.timestamp,
+    version: payload.version,
+  });
+}
+
+module.exports = {
+  computeHash,
+  computeComponentHashes,
+  validateComponents,
+  verify,
+  createChallenge,
+  verifyEnvelope,
+  compare: DevicePrint.compare,
+};
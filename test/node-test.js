@@ -15,24 +15,67 @@ global.window = {
   crypto: {
     subtle: null, // Will use fallback hash
   },
+  // Renders a deterministic waveform instead of real audio
+  OfflineAudioContext: class {
+    constructor(channels, length) {
+      this.length = length;
+      this.destination = {};
+    }
+    createOscillator() {
+      return {
+        frequency: { setValueAtTime: () => {} },
+        connect: () => {},
+        disconnect: () => {},
+        start: () => {},
+      };
+    }
+    createDynamicsCompressor() {
+      const param = () => ({ setValueAtTime: () => {} });
+      return {
+        threshold: param(),
+        knee: param(),
+        ratio: param(),
+        attack: param(),
+        release: param(),
+        connect: () => {},
+        disconnect: () => {},
+      };
+    }
+    startRendering() {
+      const data = new Float32Array(this.length).map((_, i) => Math.sin(i));
+      return Promise.resolve({ getChannelData: () => data });
+    }
+  },
 };
 
 global.document = {
   createElement: (tag) => {
     const element = {
-      getContext: () => ({
-        font: "",
-        textBaseline: "",
-        fillStyle: "",
-        fillRect: () => {},
-        fillText: () => {},
-        beginPath: () => {},
-        arc: () => {},
-        closePath: () => {},
-        fill: () => {},
-        measureText: (text) => ({ width: text.length * 8 }),
-      }),
-      toDataURL: () => "data:image/png;base64,mock",
+      // Only a 2D context is mocked; WebGL reports as unavailable
+      getContext: (type) =>
+        type !== "2d"
+          ? null
+          : {
+              font: "",
+              textBaseline: "",
+              fillStyle: "",
+              fillRect: () => {},
+              fillText: () => {},
+              beginPath: () => {},
+              arc: () => {},
+              closePath: () => {},
+              fill: () => {},
+              rect: () => {},
+              getImageData: (x, y, w, h) => ({
+                data: new Uint8ClampedArray(w * h * 4),
+              }),
+              createLinearGradient: () => ({ addColorStop: () => {} }),
+              createRadialGradient: () => ({ addColorStop: () => {} }),
+              measureText: (text) => ({ width: text.length * 8 }),
+            },
+      toDataURL() {
+        return "data:image/png;base64,mock" + this.width + "x" + this.height;
+      },
       style: {},
       className: "",
       innerHTML: "",
@@ -63,6 +106,19 @@ global.navigator = {
   },
   doNotTrack: null,
   plugins: [],
+  gpu: {
+    requestAdapter: async () => ({
+      info: {
+        vendor: "mock-vendor",
+        architecture: "mock-arch",
+        device: "",
+        description: "Mock GPU",
+      },
+      features: new Set(["texture-compression-bc", "depth-clip-control"]),
+      limits: { maxTextureDimension2D: 8192, maxBindGroups: 4 },
+      isFallbackAdapter: false,
+    }),
+  },
 };
 
 global.screen = {
@@ -185,6 +241,31 @@ test("simpleHash should differ for different inputs", () => {
   assert(hash1 !== hash2);
 });
 
+test("murmurHash3 should match the reference x64 128-bit vectors", () => {
+  const dp = new DevicePrint();
+  assert.strictEqual(dp.murmurHash3(""), "0".repeat(32));
+  assert.strictEqual(
+    dp.murmurHash3("hello"),
+    "cbd8a7b341bd9b025b1e906a48ae1d19",
+  );
+  assert.strictEqual(
+    dp.murmurHash3("The quick brown fox jumps over the lazy dog"),
+    "e34bbc7bbc071b6c7a433ca9c49a9347",
+  );
+  assert.strictEqual(
+    dp.murmurHash3('{"language":"en-US"}'),
+    "bebdbffb90f8a3d2145d07c5e3175604",
+  );
+  assert.strictEqual(
+    dp.murmurHash3("日本語"),
+    "12bb87b9a8fbeff4e40f80470a4776ee",
+  );
+});
+
+test("constructor should reject unknown hash algorithms", () => {
+  assert.throws(() => new DevicePrint({ hashAlgorithm: "md5" }), TypeError);
+});
+
 test("getHardwareConcurrency should return value", () => {
   const dp = new DevicePrint();
   const hc = dp.getHardwareConcurrency();
@@ -203,6 +284,271 @@ test("getPlugins should return array", () => {
   assert(Array.isArray(plugins));
 });
 
+test("Built-in signals should be registered", () => {
+  const registered = DevicePrint.getRegisteredSignals();
+  for (const signal of DevicePrint.PRESETS.FULL) {
+    assert(registered.includes(signal), `${signal} should be registered`);
+  }
+});
+
+test("registerSignal should reject a definition without collect", () => {
+  assert.throws(() => DevicePrint.registerSignal("broken", {}), TypeError);
+});
+
+test("compare should score identical components as 1", () => {
+  const components = { language: "en-US", screenResolution: [1920, 1080] };
+  const result = DevicePrint.compare(components, components);
+  assert.strictEqual(result.score, 1);
+  assert.deepStrictEqual(result.changed, []);
+});
+
+test("compare should tolerate a small drift", () => {
+  const before = {
+    userAgent: "Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/120.0",
+    screenResolution: [1920, 1080],
+    timezone: "Europe/Berlin",
+    fonts: ["Arial", "Verdana", "Georgia"],
+  };
+  const after = Object.assign({}, before, {
+    userAgent: "Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/121.0",
+  });
+  const result = DevicePrint.compare(before, after);
+  assert(result.score > 0.8 && result.score < 1);
+  assert.deepStrictEqual(result.changed, ["userAgent"]);
+  assert.strictEqual(result.diff.userAgent.status, "changed");
+  assert.strictEqual(result.diff.fonts.status, "same");
+});
+
+test("compare should skip failed collections and flag missing signals", () => {
+  const result = DevicePrint.compare(
+    { audio: "timeout", language: "en-US", platform: "Win32" },
+    { audio: "12.5", language: "en-US" },
+  );
+  assert.strictEqual(result.diff.audio.status, "skipped");
+  assert.strictEqual(result.diff.platform.status, "removed");
+  assert.strictEqual(result.score, 0.5);
+});
+
+test("compare should treat missing component sets as empty", () => {
+  const result = DevicePrint.compare(null, { language: "en-US" });
+  assert.strictEqual(result.diff.language.status, "added");
+  assert.strictEqual(result.score, 0);
+  assert.deepStrictEqual(DevicePrint.compare({ language: "en-US" }).changed, [
+    "language",
+  ]);
+  assert.strictEqual(DevicePrint.compare(undefined, null).score, 0);
+});
+
+test("consistency rules should flag a spoofed environment", () => {
+  const dp = new DevicePrint();
+  assert.deepStrictEqual(dp.getConsistency(), []);
+
+  try {
+    navigator.userAgent =
+      "Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 Chrome/124.0 Mobile Safari/537.36";
+    navigator.productSub = "20030107";
+    navigator.platform = "Win32";
+    navigator.maxTouchPoints = 0;
+
+    const inconsistencies = dp.getConsistency();
+    assert.deepStrictEqual(
+      inconsistencies.map((i) => i.name),
+      ["userAgentPlatform", "touchSupport"],
+    );
+    assert.deepStrictEqual(inconsistencies[0], {
+      name: "userAgentPlatform",
+      category: "os",
+      severity: "high",
+    });
+    assert.strictEqual(dp.getHasLiedOs(), true);
+    assert.strictEqual(dp.getHasLiedBrowser(), false);
+
+    navigator.platform = "Linux armv81";
+    assert.strictEqual(dp.getHasLiedOs(), false);
+  } finally {
+    delete navigator.productSub;
+    delete navigator.maxTouchPoints;
+    navigator.userAgent = "Node.js Test Runner";
+    navigator.platform = "Node";
+  }
+});
+
+test("intlLocale rule should accept any preferred language", () => {
+  const dp = new DevicePrint();
+  const intl = global.Intl;
+  try {
+    // An English UI with German ranked first
+    global.Intl = {
+      DateTimeFormat: class {
+        resolvedOptions() {
+          return { locale: "en-GB" };
+        }
+      },
+    };
+    navigator.language = "de-DE";
+    navigator.languages = ["de-DE", "en-US"];
+    assert.strictEqual(dp.getHasLiedLanguages(), false);
+
+    navigator.languages = ["de-DE", "fr-FR"];
+    assert.strictEqual(dp.getHasLiedLanguages(), true);
+  } finally {
+    global.Intl = intl;
+    navigator.language = "en-US";
+    delete navigator.languages;
+  }
+});
+
+test("registerConsistencyRule should validate and run custom rules", () => {
+  assert.throws(() => DevicePrint.registerConsistencyRule("noCheck", {}));
+  assert.throws(() =>
+    DevicePrint.registerConsistencyRule("badSeverity", {
+      check: () => true,
+      severity: "critical",
+    }),
+  );
+
+  DevicePrint.registerConsistencyRule("alwaysBroken", {
+    category: "browser",
+    check: (ctx) => typeof ctx.userAgent === "string",
+  });
+  try {
+    const dp = new DevicePrint();
+    assert.deepStrictEqual(dp.getConsistency("browser"), [
+      { name: "alwaysBroken", category: "browser", severity: "medium" },
+    ]);
+    assert.strictEqual(dp.getHasLiedBrowser(), true);
+  } finally {
+    DevicePrint.unregisterConsistencyRule("alwaysBroken");
+  }
+  assert(!DevicePrint.getConsistencyRules().includes("alwaysBroken"));
+});
+
+test("getBotSignals should flag automation and grade the verdict", () => {
+  const dp = new DevicePrint();
+  try {
+    // The mock navigator has no plugins and no languages: two weak flags
+    let result = dp.getBotSignals();
+    assert.strictEqual(result.flags.noPlugins, true);
+    assert.strictEqual(result.flags.noLanguages, true);
+    assert.strictEqual(result.flags.webdriver, false);
+    assert.strictEqual(result.verdict, "suspicious");
+
+    navigator.languages = ["en-US"];
+    assert.strictEqual(dp.getBotSignals().verdict, "human");
+
+    window.__nightmare = {};
+    document.$cdc_asdjflasutopfhvcZLmcfl_ = {};
+    result = dp.getBotSignals();
+    assert.strictEqual(result.flags.automationGlobals, true);
+    assert.deepStrictEqual(result.globals, [
+      "__nightmare",
+      "$cdc_asdjflasutopfhvcZLmcfl_",
+    ]);
+    assert.strictEqual(result.verdict, "bot");
+
+    delete window.__nightmare;
+    delete document.$cdc_asdjflasutopfhvcZLmcfl_;
+    navigator.webdriver = true;
+    navigator.userAgent = "Mozilla/5.0 HeadlessChrome/124.0.0.0";
+    result = dp.getBotSignals();
+    assert.strictEqual(result.flags.webdriver, true);
+    assert.strictEqual(result.flags.headlessUserAgent, true);
+    assert.strictEqual(result.verdict, "bot");
+  } finally {
+    delete navigator.languages;
+    delete navigator.webdriver;
+    delete window.__nightmare;
+    delete document.$cdc_asdjflasutopfhvcZLmcfl_;
+    navigator.userAgent = "Node.js Test Runner";
+  }
+});
+
+test("getFonts should detect fonts in batches and guess the OS", () => {
+  // Text takes the width of the first installed family in the font list
+  const installed = ["Calibri", "Segoe UI", "Tahoma", "Menlo", "Fancy Font"];
+  let measurements = 0;
+  const ctx = {
+    font: "",
+    measureText: () => {
+      measurements++;
+      const families = ctx.font
+        .replace(/^72px /, "")
+        .split(", ")
+        .map((family) => family.replace(/"/g, ""));
+      const family = families.find(
+        (name) => installed.includes(name) || !/[A-Z]/.test(name),
+      );
+      return { width: family.length * 10 };
+    },
+  };
+  const createElement = document.createElement;
+  document.createElement = () => ({ getContext: () => ctx });
+  try {
+    const fonts = new DevicePrint().getFonts();
+    assert.deepStrictEqual(fonts.detected, [
+      "Calibri",
+      "Segoe UI",
+      "Tahoma",
+      "Menlo",
+    ]);
+    assert.strictEqual(fonts.osFamily, "windows");
+    assert(measurements < 200, `Too many measurements: ${measurements}`);
+
+    const custom = new DevicePrint({
+      fonts: { list: ["Menlo", "Arial"], extraFonts: ["Fancy Font"] },
+    }).getFonts();
+    assert.deepStrictEqual(custom.detected, ["Menlo", "Fancy Font"]);
+    assert.strictEqual(custom.osFamily, "mac");
+  } finally {
+    document.createElement = createElement;
+  }
+});
+
+test("getMathFingerprint should evaluate engine-dependent functions", () => {
+  const result = new DevicePrint().getMathFingerprint();
+  assert.strictEqual(result.tan, Math.tan(-1e300));
+  assert.strictEqual(result.powPi, Math.pow(Math.PI, -100));
+  assert(!("pi" in result));
+
+  const sinh = Math.sinh;
+  delete Math.sinh;
+  try {
+    assert.strictEqual(new DevicePrint().getMathFingerprint().sinh, null);
+  } finally {
+    Math.sinh = sinh;
+  }
+});
+
+test("estimateEntropy should sum signal entropy metadata", () => {
+  const fonts = DevicePrint.getSignalDefinition("fonts");
+  assert.strictEqual(fonts.entropy, 10);
+  assert.strictEqual(fonts.risk, "none");
+  assert.strictEqual(
+    DevicePrint.getSignalDefinition("permissions").risk,
+    "permission",
+  );
+
+  DevicePrint.registerSignal("noEstimate", { collect: () => 1 });
+  try {
+    const estimate = DevicePrint.estimateEntropy([
+      "fonts",
+      "cookieEnabled",
+      "noEstimate",
+      "unknownSignal",
+    ]);
+    assert.strictEqual(estimate.total, 10.1);
+    assert.deepStrictEqual(estimate.signals, { fonts: 10, cookieEnabled: 0.1 });
+    assert.deepStrictEqual(estimate.unknown, ["noEstimate", "unknownSignal"]);
+  } finally {
+    DevicePrint.unregisterSignal("noEstimate");
+  }
+
+  assert(
+    DevicePrint.estimateEntropy("EXTENDED").total >
+      DevicePrint.estimateEntropy("DEFAULT").total,
+  );
+});
+
 // Async tests
 async function runAsyncTests() {
   console.log("\n🔄 Running async tests...\n");
@@ -215,6 +561,10 @@ async function runAsyncTests() {
     passed++;
     console.log("✅ generate should return object");
 
+    assert(typeof result.entropy === "number", "result should have entropy");
+    passed++;
+    console.log("✅ generate should report estimated entropy");
+
     assert("fingerprint" in result, "result should have fingerprint");
     passed++;
     console.log("✅ result should have fingerprint");
@@ -243,6 +593,1306 @@ async function runAsyncTests() {
     console.log(`❌ Async test failed: ${error.message}\n`);
   }
 
+  try {
+    DevicePrint.registerSignal("nodeCustom", {
+      collect: async (dp) => dp.getPlatform() + "-custom",
+      async: true,
+    });
+    const dp = new DevicePrint({ signals: ["language", "nodeCustom"] });
+    const result = await dp.generate();
+    DevicePrint.unregisterSignal("nodeCustom");
+
+    assert.strictEqual(result.components.nodeCustom, "Node-custom");
+    passed++;
+    console.log("✅ custom registered signal should be collected");
+  } catch (error) {
+    failed++;
+    console.log(`❌ Custom signal test failed: ${error.message}\n`);
+  }
+
+  try {
+    DevicePrint.registerSignal("nodeHang", {
+      collect: () => new Promise(() => {}),
+      async: true,
+    });
+    const dp = new DevicePrint({
+      signals: ["language", "nodeHang"],
+      timeouts: { nodeHang: 20 },
+    });
+    const result = await dp.generate();
+
+    assert.strictEqual(result.components.nodeHang, "timeout");
+    passed++;
+    console.log("✅ stalled signal should time out");
+
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(
+      dp.generate({ signal: controller.signal }),
+      (error) => error.name === "AbortError",
+    );
+    passed++;
+    console.log("✅ aborted generate should reject");
+  } catch (error) {
+    failed++;
+    console.log(`❌ Timeout test failed: ${error.message}\n`);
+  } finally {
+    DevicePrint.unregisterSignal("nodeHang");
+  }
+
+  try {
+    DevicePrint.registerSignal("nodeThrows", {
+      collect: () => {
+        throw new Error("collector bug");
+      },
+    });
+    const dp = new DevicePrint({
+      signals: ["language", "webgl", "nodeThrows"],
+    });
+    const result = await dp.generate();
+    DevicePrint.unregisterSignal("nodeThrows");
+
+    assert.strictEqual(result.diagnostics.language.status, "ok");
+    assert.strictEqual(typeof result.diagnostics.language.duration, "number");
+    assert.strictEqual(result.diagnostics.webgl.status, "unsupported");
+    assert.strictEqual(result.diagnostics.nodeThrows.status, "error");
+    assert.strictEqual(result.diagnostics.nodeThrows.error, "collector bug");
+    assert.strictEqual(result.components.nodeThrows, "error");
+    passed++;
+    console.log("✅ diagnostics should report ok/unsupported/error per signal");
+  } catch (error) {
+    failed++;
+    console.log(`❌ Diagnostics test failed: ${error.message}\n`);
+  }
+
+  try {
+    const dp = new DevicePrint({
+      signals: ["language", "screenResolution"],
+      componentHashes: true,
+    });
+    const result = await dp.generate();
+
+    assert.deepStrictEqual(Object.keys(result.componentHashes), [
+      "language",
+      "screenResolution",
+    ]);
+    assert.strictEqual(typeof result.componentHashes.language, "string");
+    assert(result.componentHashes.language.length <= 16);
+    assert.notStrictEqual(
+      result.componentHashes.language,
+      result.componentHashes.screenResolution,
+    );
+    assert(!("componentHashes" in (await new DevicePrint().generate())));
+    passed++;
+    console.log("✅ componentHashes should hash each component");
+  } catch (error) {
+    failed++;
+    console.log(`❌ Component hash test failed: ${error.message}\n`);
+  }
+
+  try {
+    const dp = new DevicePrint({ canvas: { debug: true } });
+    const canvas = await dp.getCanvasFingerprint();
+
+    assert.deepStrictEqual(Object.keys(canvas.scenes), [
+      "text",
+      "emoji",
+      "gradient",
+      "winding",
+    ]);
+    assert.strictEqual(typeof canvas.hash, "string");
+    assert(canvas.images.text.startsWith("data:image/png"));
+    assert(!("images" in (await new DevicePrint().getCanvasFingerprint())));
+    passed++;
+    console.log("✅ canvas should return per-scene hashes");
+  } catch (error) {
+    failed++;
+    console.log(`❌ Canvas test failed: ${error.message}\n`);
+  }
+
+  const createElement = document.createElement;
+  try {
+    // Simulate a browser that adds noise to every canvas read
+    document.createElement = (tag) => {
+      const element = createElement(tag);
+      const getContext = element.getContext;
+      element.getContext = (type) => {
+        const ctx = getContext(type);
+        if (ctx) {
+          ctx.getImageData = () => ({
+            data: Uint8ClampedArray.from([Math.random() * 255]),
+          });
+        }
+        return ctx;
+      };
+      return element;
+    };
+
+    const dp = new DevicePrint({ signals: ["language", "canvas"] });
+    const result = await dp.generate();
+    const canvas = result.components.canvas;
+
+    assert.strictEqual(canvas.randomized, true);
+    assert.strictEqual(typeof canvas.value.hash, "string");
+    assert.strictEqual(result.diagnostics.canvas.randomized, true);
+
+    const stable = new DevicePrint({ signals: ["language"] });
+    assert.strictEqual(
+      result.fingerprint,
+      (await stable.generate()).fingerprint,
+    );
+    passed++;
+    console.log(
+      "✅ randomized canvas should be flagged and left out of the hash",
+    );
+  } catch (error) {
+    failed++;
+    console.log(`❌ Canvas randomization test failed: ${error.message}\n`);
+  } finally {
+    document.createElement = createElement;
+  }
+
+  try {
+    const dp = new DevicePrint();
+    const audio1 = await dp.getAudioFingerprint();
+    const audio2 = await dp.getAudioFingerprint();
+
+    assert.strictEqual(typeof audio1.sum, "number");
+    assert.strictEqual(typeof audio1.hash, "string");
+    assert.deepStrictEqual(audio1, audio2);
+    passed++;
+    console.log("✅ audio should render offline and be stable");
+  } catch (error) {
+    failed++;
+    console.log(`❌ Audio test failed: ${error.message}\n`);
+  }
+
+  try {
+    const dp = new DevicePrint();
+    assert.strictEqual(await dp.getWebGLRenderFingerprint(), "not supported");
+
+    // Minimal WebGL context whose readPixels output depends on the draw call
+    const createElement = document.createElement;
+    let contextLost = false;
+    document.createElement = (tag) => {
+      const element = createElement(tag);
+      element.getContext = (type) => {
+        if (type !== "webgl") return null;
+        let drawn = 0;
+        const noop = () => {};
+        return {
+          isContextLost: () => contextLost,
+          createProgram: () => ({}),
+          createShader: () => ({}),
+          shaderSource: noop,
+          compileShader: noop,
+          attachShader: noop,
+          linkProgram: noop,
+          getProgramParameter: () => true,
+          useProgram: noop,
+          createBuffer: () => ({}),
+          bindBuffer: noop,
+          bufferData: noop,
+          getAttribLocation: () => 0,
+          enableVertexAttribArray: noop,
+          vertexAttribPointer: noop,
+          viewport: noop,
+          clearColor: noop,
+          clear: noop,
+          drawArrays: (mode, first, count) => {
+            drawn = count;
+          },
+          readPixels: (x, y, w, h, format, type, pixels) => {
+            pixels.fill(drawn);
+          },
+          deleteBuffer: noop,
+          deleteShader: noop,
+          deleteProgram: noop,
+          getExtension: () => null,
+        };
+      };
+      return element;
+    };
+
+    try {
+      const hash1 = await dp.getWebGLRenderFingerprint();
+      const hash2 = await dp.getWebGLRenderFingerprint();
+      assert.strictEqual(typeof hash1, "string");
+      assert.strictEqual(hash1, hash2);
+
+      contextLost = true;
+      assert.strictEqual(await dp.getWebGLRenderFingerprint(), "not available");
+    } finally {
+      document.createElement = createElement;
+    }
+    passed++;
+    console.log("✅ webglRender should hash the rendered pixels");
+  } catch (error) {
+    failed++;
+    console.log(`❌ WebGL render test failed: ${error.message}\n`);
+  }
+
+  try {
+    // Fake WebGL/WebGL2 context: constants resolve to their own names and
+    // getParameter echoes the constant back
+    const fakeGL = new Proxy(
+      {},
+      {
+        get: (target, prop) => {
+          if (prop === "getParameter") return (param) => param;
+          if (prop === "getExtension") return () => null;
+          if (prop === "getSupportedExtensions") return () => ["EXT_test"];
+          if (prop === "getShaderPrecisionFormat") {
+            return () => ({ rangeMin: 127, rangeMax: 127, precision: 23 });
+          }
+          return typeof prop === "string" && /^[A-Z0-9_]+$/.test(prop)
+            ? prop
+            : undefined;
+        },
+      },
+    );
+    const createElement = document.createElement;
+    document.createElement = (tag) => {
+      const element = createElement(tag);
+      element.getContext = (type) =>
+        type === "webgl" || type === "webgl2" ? fakeGL : null;
+      return element;
+    };
+
+    let info;
+    try {
+      info = new DevicePrint().getExtendedWebGLInfo();
+    } finally {
+      document.createElement = createElement;
+    }
+
+    assert.deepStrictEqual(
+      info.shaderPrecision.fragment.highFloat,
+      [127, 127, 23],
+    );
+    assert.strictEqual(info.webgl2.max3dTextureSize, "MAX_3D_TEXTURE_SIZE");
+    assert.strictEqual(info.webgl2.maxSamples, "MAX_SAMPLES");
+    assert.deepStrictEqual(Object.keys(info.webgl2.shaderPrecision.vertex), [
+      "lowFloat",
+      "mediumFloat",
+      "highFloat",
+      "lowInt",
+      "mediumInt",
+      "highInt",
+    ]);
+    passed++;
+    console.log("✅ extendedWebGL should include WebGL2 limits and precision");
+  } catch (error) {
+    failed++;
+    console.log(`❌ Extended WebGL test failed: ${error.message}\n`);
+  }
+
+  try {
+    const dp = new DevicePrint();
+    const webgpu = await dp.getWebGPUInfo();
+
+    assert.strictEqual(webgpu.vendor, "mock-vendor");
+    assert.strictEqual(webgpu.architecture, "mock-arch");
+    assert.deepStrictEqual(webgpu.features, [
+      "depth-clip-control",
+      "texture-compression-bc",
+    ]);
+    assert.deepStrictEqual(webgpu.limits, {
+      maxBindGroups: 4,
+      maxTextureDimension2D: 8192,
+    });
+
+    const requestAdapter = navigator.gpu.requestAdapter;
+    navigator.gpu.requestAdapter = async () => null;
+    try {
+      assert.strictEqual(await dp.getWebGPUInfo(), "not available");
+    } finally {
+      navigator.gpu.requestAdapter = requestAdapter;
+    }
+    passed++;
+    console.log(
+      "✅ webgpu should report adapter info and handle a null adapter",
+    );
+  } catch (error) {
+    failed++;
+    console.log(`❌ WebGPU test failed: ${error.message}\n`);
+  }
+
+  try {
+    const dp = new DevicePrint();
+    assert.strictEqual(await dp.getClientHints(), "not supported");
+
+    navigator.userAgentData = {
+      brands: [
+        { brand: "Not=A?Brand", version: "99" },
+        { brand: "Chromium", version: "124" },
+      ],
+      mobile: false,
+      platform: "Windows",
+      getHighEntropyValues: async (hints) => ({
+        architecture: "x86",
+        bitness: "64",
+        platformVersion: "15.0.0",
+        ignored: hints.length,
+      }),
+    };
+
+    const low = await dp.getClientHints();
+    assert.deepStrictEqual(low.brands[0], {
+      brand: "Chromium",
+      version: "124",
+    });
+    assert.strictEqual(low.platform, "Windows");
+    assert(!("architecture" in low));
+
+    const high = await new DevicePrint({
+      clientHints: { highEntropy: true },
+    }).getClientHints();
+    assert.strictEqual(high.architecture, "x86");
+    assert.strictEqual(high.platformVersion, "15.0.0");
+    assert(!("ignored" in high));
+
+    // A blocked high-entropy request keeps the low-entropy hints
+    const getHighEntropyValues = navigator.userAgentData.getHighEntropyValues;
+    navigator.userAgentData.getHighEntropyValues = async () => {
+      throw new Error("NotAllowedError");
+    };
+    assert.deepStrictEqual(
+      await new DevicePrint({
+        clientHints: { highEntropy: true },
+      }).getClientHints(),
+      low,
+    );
+    navigator.userAgentData.getHighEntropyValues = getHighEntropyValues;
+
+    // The mock UA names neither Windows nor Chrome
+    navigator.userAgent =
+      "Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 Chrome/124.0 Safari/537.36";
+    navigator.productSub = "20030107";
+    assert.strictEqual(dp.getHasLiedOs(), true);
+    assert.strictEqual(dp.getHasLiedBrowser(), false);
+    navigator.userAgentData.platform = "Linux";
+    assert.strictEqual(dp.getHasLiedOs(), false);
+    navigator.userAgent =
+      "Mozilla/5.0 (X11; Linux x86_64; rv:125.0) Firefox/125.0";
+    navigator.productSub = "20100101";
+    assert.strictEqual(dp.getHasLiedBrowser(), true);
+    passed++;
+    console.log("✅ clientHints should be collected and cross-checked");
+  } catch (error) {
+    failed++;
+    console.log(`❌ Client hints test failed: ${error.message}\n`);
+  } finally {
+    delete navigator.userAgentData;
+    delete navigator.productSub;
+    navigator.userAgent = "Node.js Test Runner";
+  }
+
+  try {
+    const values = { driftA: "a", driftB: "b", driftC: "c", driftD: "d" };
+    for (const name of Object.keys(values)) {
+      DevicePrint.registerSignal(name, { collect: () => values[name] });
+    }
+    const records = {};
+    const store = {
+      get: async (key) => records[key] || null,
+      set: async (key, record) => {
+        records[key] = record;
+      },
+      remove: async (key) => {
+        delete records[key];
+      },
+    };
+    const identity = new DevicePrint.Identity({
+      signals: Object.keys(values),
+      storage: store,
+      threshold: 0.7,
+    });
+
+    const first = await identity.identify();
+    assert.strictEqual(first.isNew, true);
+    assert.strictEqual(first.score, null);
+    assert.strictEqual(records.deviceprint_identity.visitorId, first.visitorId);
+
+    values.driftA = "changed";
+    const second = await identity.identify();
+    assert.strictEqual(second.isNew, false);
+    assert.strictEqual(second.visitorId, first.visitorId);
+    assert.strictEqual(second.score, 0.75);
+    assert.deepStrictEqual(second.drifted, ["driftA"]);
+
+    values.driftB = "changed";
+    values.driftC = "changed";
+    const third = await identity.identify();
+    assert.strictEqual(third.isNew, true);
+    assert.notStrictEqual(third.visitorId, first.visitorId);
+    assert.deepStrictEqual(third.drifted, ["driftB", "driftC"]);
+
+    await identity.clear();
+    assert.deepStrictEqual(records, {});
+
+    // Built-in localStorage store
+    const items = {};
+    const localStorage = window.localStorage;
+    window.localStorage = {
+      getItem: (key) => (key in items ? items[key] : null),
+      setItem: (key, value) => {
+        items[key] = value;
+      },
+      removeItem: (key) => {
+        delete items[key];
+      },
+    };
+    try {
+      const local = new DevicePrint.Identity({
+        signals: ["driftD"],
+        key: "visitor",
+      });
+      const run1 = await local.identify();
+      const run2 = await local.identify();
+      assert.strictEqual(run2.visitorId, run1.visitorId);
+      assert.strictEqual(JSON.parse(items.visitor).components.driftD, "d");
+    } finally {
+      window.localStorage = localStorage;
+    }
+
+    // Blocked or corrupted stores count as no stored record
+    const broken = new DevicePrint.Identity({
+      signals: ["driftD"],
+      storage: {
+        get: async () => JSON.parse("{not json"),
+        set: async () => {},
+        remove: async () => {},
+      },
+    });
+    assert.strictEqual((await broken.identify()).isNew, true);
+
+    const descriptor = Object.getOwnPropertyDescriptor(window, "localStorage");
+    Object.defineProperty(window, "localStorage", {
+      configurable: true,
+      get: () => {
+        throw new Error("SecurityError: access denied");
+      },
+    });
+    try {
+      const blocked = await new DevicePrint.Identity({
+        signals: ["driftD"],
+      }).identify();
+      assert.strictEqual(blocked.isNew, true);
+      assert.strictEqual(typeof blocked.visitorId, "string");
+    } finally {
+      Object.defineProperty(window, "localStorage", descriptor);
+    }
+
+    const cookies = document.cookie;
+    document.cookie = "deviceprint_identity=%7Bbroken";
+    try {
+      const cookie = new DevicePrint.Identity({
+        signals: ["driftD"],
+        storage: "cookie",
+      });
+      assert.strictEqual((await cookie.identify()).isNew, true);
+    } finally {
+      document.cookie = cookies;
+    }
+
+    assert.throws(() => new DevicePrint.Identity({ storage: "disk" }));
+    for (const name of Object.keys(values)) {
+      DevicePrint.unregisterSignal(name);
+    }
+    passed++;
+    console.log("✅ Identity should keep the visitor ID through small drift");
+  } catch (error) {
+    failed++;
+    console.log(`❌ Identity test failed: ${error.message}\n`);
+  }
+
+  try {
+    let collected = 0;
+    DevicePrint.registerSignal("counted", {
+      collect: async () => ++collected,
+      async: true,
+      cacheTtl: 60000,
+    });
+
+    const uncached = new DevicePrint({ signals: ["counted"] });
+    await uncached.generate();
+    await uncached.generate();
+    assert.strictEqual(collected, 2, "Caching should be opt-in");
+
+    const dp = new DevicePrint({ signals: ["counted"], cache: true });
+    await dp.generate();
+    const second = await dp.generate();
+    assert.strictEqual(collected, 3);
+    assert.strictEqual(second.components.counted, 3);
+    assert.strictEqual(second.diagnostics.counted.cached, true);
+
+    // The in-memory cache is shared between instances
+    await new DevicePrint({ signals: ["counted"], cache: true }).generate();
+    assert.strictEqual(collected, 3);
+
+    dp.invalidate("counted");
+    await dp.generate();
+    assert.strictEqual(collected, 4);
+
+    const noTtl = new DevicePrint({
+      signals: ["counted"],
+      cache: true,
+      cacheTtl: { counted: 0 },
+    });
+    await noTtl.generate();
+    assert.strictEqual(collected, 5);
+
+    // sessionStorage entries survive a reload of the library
+    const items = {};
+    const sessionStorage = window.sessionStorage;
+    window.sessionStorage = {
+      get length() {
+        return Object.keys(items).length;
+      },
+      key: (i) => Object.keys(items)[i],
+      getItem: (key) => (key in items ? items[key] : null),
+      setItem: (key, value) => {
+        items[key] = value;
+      },
+      removeItem: (key) => {
+        delete items[key];
+      },
+    };
+    try {
+      dp.invalidate();
+      await new DevicePrint({
+        signals: ["counted"],
+        cache: "sessionStorage",
+      }).generate();
+      assert.strictEqual(collected, 6);
+      assert(items["deviceprint:counted:v1:sha256:null"]);
+
+      delete require.cache[require.resolve("../src/deviceprint.js")];
+      const Reloaded = require("../src/deviceprint.js");
+      Reloaded.registerSignal("counted", {
+        collect: async () => ++collected,
+        async: true,
+        cacheTtl: 60000,
+      });
+      const reloaded = await new Reloaded({
+        signals: ["counted"],
+        cache: "sessionStorage",
+      }).generate();
+      assert.strictEqual(collected, 6);
+      assert.strictEqual(reloaded.components.counted, 6);
+
+      dp.invalidate();
+      assert.deepStrictEqual(items, {});
+    } finally {
+      window.sessionStorage = sessionStorage;
+    }
+
+    DevicePrint.unregisterSignal("counted");
+    passed++;
+    console.log("✅ cache should reuse signal values until invalidated");
+  } catch (error) {
+    failed++;
+    console.log(`❌ Cache test failed: ${error.message}\n`);
+  }
+
+  try {
+    const server = require("../src/server.js");
+    const dp = new DevicePrint({ componentHashes: true });
+    const result = await dp.generate();
+
+    // The mocks have no crypto.subtle, so the browser side used MurmurHash3
+    const verified = await server.verify(result);
+    assert.deepStrictEqual(verified.issues, []);
+    assert.strictEqual(verified.valid, true);
+    assert.strictEqual(verified.algorithm, "murmur3");
+
+    const tampered = JSON.parse(JSON.stringify(result));
+    tampered.components.language = "fr-FR";
+    const rejected = await server.verify(tampered);
+    assert.strictEqual(rejected.valid, false);
+    assert.deepStrictEqual(
+      rejected.issues.map((issue) => issue.code),
+      ["hashMismatch", "componentHashMismatch"],
+    );
+    assert.strictEqual(rejected.issues[1].signal, "language");
+
+    const components = { timezone: "Europe/Berlin", colorDepth: 24 };
+    const expected =
+      "v3:sha256:" +
+      require("crypto")
+        .createHash("sha256")
+        .update(JSON.stringify({ colorDepth: 24, timezone: "Europe/Berlin" }))
+        .digest("hex");
+    assert.strictEqual(await server.computeHash(components), expected);
+    const sha = await server.verify({ components, fingerprint: expected });
+    assert.strictEqual(sha.valid, true);
+    assert.strictEqual(sha.algorithm, "sha256");
+
+    // Inherited keys and untagged fingerprints are not hash algorithms
+    const sorted = JSON.stringify({
+      colorDepth: 24,
+      timezone: "Europe/Berlin",
+    });
+    for (const fingerprint of [
+      "v3:constructor:" + sorted,
+      "v3:tostring:" + sorted,
+      expected.split(":")[2],
+    ]) {
+      const unknown = await server.verify({ components, fingerprint });
+      assert.strictEqual(unknown.valid, false);
+      assert.deepStrictEqual(
+        unknown.issues.map((issue) => issue.code),
+        ["unknownAlgorithm"],
+      );
+    }
+    await assert.rejects(server.computeHash(components, "constructor"));
+
+    const issues = server.validateComponents({
+      colorDepth: "24",
+      hardwareConcurrency: 0,
+      screenResolution: [1920, 1080],
+      canvas: { value: { hash: "x" }, randomized: true },
+      audio: "timeout",
+      colorGamut: "p3",
+    });
+    assert.deepStrictEqual(
+      issues.map((issue) => [issue.code, issue.signal]),
+      [
+        ["invalidType", "colorDepth"],
+        ["implausibleValue", "hardwareConcurrency"],
+        ["unknownSignal", "colorGamut"],
+      ],
+    );
+    assert.deepStrictEqual(
+      server.validateComponents(
+        { colorGamut: "p3" },
+        { types: { colorGamut: "string" } },
+      ),
+      [],
+    );
+
+    const reference = Object.assign({}, components, { timezone: "UTC" });
+    const scored = await server.verify(
+      { components, fingerprint: expected },
+      { reference, threshold: 0.3 },
+    );
+    assert.deepStrictEqual(scored.changed, ["timezone"]);
+    assert.strictEqual(scored.match, true);
+
+    assert.strictEqual((await server.verify(null)).valid, false);
+    passed++;
+    console.log(
+      "✅ server verify should recompute hashes and reject tampering",
+    );
+  } catch (error) {
+    failed++;
+    console.log(`❌ Server verification test failed: ${error.message}\n`);
+  }
+
+  const windowCrypto = window.crypto;
+  try {
+    const nodeCrypto = require("crypto");
+    const server = require("../src/server.js");
+    window.crypto = nodeCrypto.webcrypto;
+    const secret = "test-secret";
+    const dp = new DevicePrint({ signals: ["language", "colorDepth"] });
+    const result = await dp.generate();
+
+    const seenNonces = new Set();
+    const challenge = server.createChallenge(secret);
+    const envelope = await dp.seal(result, challenge);
+    const verified = await server.verifyEnvelope(envelope, {
+      secret,
+      seenNonces,
+    });
+    assert.deepStrictEqual(verified.issues, []);
+    assert.strictEqual(verified.valid, true);
+    assert.strictEqual(verified.version, DevicePrint.VERSION);
+    assert.strictEqual(verified.algorithm, "sha256");
+
+    const replayed = await server.verifyEnvelope(envelope, {
+      secret,
+      seenNonces,
+    });
+    assert.deepStrictEqual(
+      replayed.issues.map((issue) => issue.code),
+      ["replayedNonce"],
+    );
+
+    const edited = Object.assign({}, envelope, {
+      payload: envelope.payload.replace('"en-US"', '"fr-FR"'),
+    });
+    assert.notStrictEqual(edited.payload, envelope.payload);
+    const forged = await server.verifyEnvelope(edited, { secret });
+    assert.deepStrictEqual(
+      forged.issues.map((issue) => issue.code),
+      ["badSignature"],
+    );
+
+    const wrongSecret = await server.verifyEnvelope(envelope, {
+      secret: "other",
+    });
+    assert.strictEqual(wrongSecret.issues[0].code, "badSignature");
+
+    // A challenge issued ten minutes ago
+    const nonce = Date.now() - 600000 + ".00";
+    const key = nodeCrypto
+      .createHmac("sha256", secret)
+      .update(nonce)
+      .digest("hex");
+    const stale = await server.verifyEnvelope(
+      await dp.seal(result, { nonce, key }),
+      { secret },
+    );
+    assert.deepStrictEqual(
+      stale.issues.map((issue) => issue.code),
+      ["expiredChallenge"],
+    );
+
+    const invalid = await server.verifyEnvelope({ payload: "{" }, { secret });
+    assert.strictEqual(invalid.issues[0].code, "invalidEnvelope");
+
+    window.crypto = { subtle: null };
+    await assert.rejects(dp.seal(result, challenge));
+    passed++;
+    console.log(
+      "✅ sealed envelopes should reject edits, replays and stale challenges",
+    );
+  } catch (error) {
+    failed++;
+    console.log(`❌ Envelope test failed: ${error.message}\n`);
+  } finally {
+    window.crypto = windowCrypto;
+  }
+
+  try {
+    const server = require("../src/server.js");
+    assert.deepStrictEqual(
+      DevicePrint.getRegisteredSignals().filter(
+        (name) => !DevicePrint.getSignalDefinition(name).type,
+      ),
+      [],
+    );
+
+    // Custom signals are checked against the type they were registered with,
+    // in the registry of the copy server.js loaded (the cache test reloads it)
+    const library = require("../src/deviceprint.js");
+    library.registerSignal("colorGamut", {
+      collect: () => "p3",
+      type: "string",
+    });
+    library.registerSignal("untyped", { collect: () => 1 });
+    try {
+      assert.deepStrictEqual(
+        server
+          .validateComponents({ colorGamut: 3, untyped: [1] })
+          .map((issue) => [issue.code, issue.signal]),
+        [["invalidType", "colorGamut"]],
+      );
+    } finally {
+      library.unregisterSignal("colorGamut");
+      library.unregisterSignal("untyped");
+    }
+    assert.throws(
+      () =>
+        DevicePrint.registerSignal("badType", {
+          collect: () => 1,
+          type: "integer",
+        }),
+      TypeError,
+    );
+    for (const preset of ["DEFAULT", "EXTENDED", "FULL"]) {
+      const result = await new DevicePrint({
+        signals: preset,
+        componentHashes: true,
+      }).generate();
+      const verified = await server.verify(result);
+      assert.deepStrictEqual(verified.issues, [], preset);
+      assert.strictEqual(verified.valid, true, preset);
+    }
+    passed++;
+    console.log("✅ server verify should accept every built-in preset");
+  } catch (error) {
+    failed++;
+    console.log(`❌ Server preset test failed: ${error.message}\n`);
+  }
+
+  const getFonts = DevicePrint.prototype.getFonts;
+  const userAgent = navigator.userAgent;
+  try {
+    // A known OS makes the fonts rule check the installed fonts
+    navigator.userAgent =
+      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36";
+    let scans = 0;
+    DevicePrint.prototype.getFonts = function () {
+      scans++;
+      return getFonts.call(this);
+    };
+
+    // The rules run after the fonts signal and reuse its value
+    const result = await new DevicePrint({ signals: "EXTENDED" }).generate();
+    assert.strictEqual(scans, 1);
+    assert.deepStrictEqual(Object.keys(result.components).slice(-6), [
+      "hasLiedLanguages",
+      "hasLiedResolution",
+      "hasLiedOs",
+      "hasLiedBrowser",
+      "consistency",
+      "botSignals",
+    ]);
+
+    // Without it, all consistency signals of a run share one scan
+    scans = 0;
+    await new DevicePrint({
+      signals: ["hasLiedOs", "hasLiedBrowser", "consistency"],
+    }).generate();
+    assert.strictEqual(scans, 1);
+
+    // Core fonts left out of a custom list are not judged missing
+    DevicePrint.prototype.getFonts = () => ({
+      detected: ["Consolas"],
+      osFamily: null,
+    });
+    const custom = await new DevicePrint({
+      signals: ["hasLiedOs", "consistency"],
+      fonts: { list: ["Consolas", "Fira Code"] },
+    }).generate();
+    assert.strictEqual(custom.components.hasLiedOs, false);
+    assert(
+      !custom.components.consistency.some((rule) => rule.name === "fonts"),
+    );
+    const probed = await new DevicePrint({
+      signals: ["hasLiedOs"],
+      fonts: { list: ["Consolas", "Tahoma"] },
+    }).generate();
+    assert.strictEqual(probed.components.hasLiedOs, true);
+    passed++;
+    console.log("✅ consistency signals should scan fonts once per run");
+  } catch (error) {
+    failed++;
+    console.log(`❌ Deferred consistency test failed: ${error.message}\n`);
+  } finally {
+    DevicePrint.prototype.getFonts = getFonts;
+    navigator.userAgent = userAgent;
+  }
+
+  try {
+    const dp = new DevicePrint({ signals: ["language", "canvas"] });
+    const result = await dp.generate();
+    assert.strictEqual(result.schemaVersion, DevicePrint.SCHEMA_VERSION);
+    assert.deepStrictEqual(result.signalVersions, { language: 1, canvas: 3 });
+    assert.deepStrictEqual(DevicePrint.parseFingerprint(result.fingerprint), {
+      schemaVersion: DevicePrint.SCHEMA_VERSION,
+      algorithm: "murmur3",
+      hash: result.fingerprint.split(":")[2],
+    });
+    assert.strictEqual(
+      DevicePrint.parseFingerprint("a1b2c3").schemaVersion,
+      null,
+    );
+
+    assert.deepStrictEqual(DevicePrint.checkCompatibility(result, result), {
+      compatible: true,
+      reasons: [],
+      changedSignals: [],
+    });
+    const older = Object.assign({}, result, {
+      signalVersions: { language: 1, canvas: 1 },
+    });
+    assert.deepStrictEqual(DevicePrint.checkCompatibility(older, result), {
+      compatible: false,
+      reasons: ["signalVersions"],
+      changedSignals: ["canvas"],
+    });
+    assert.deepStrictEqual(
+      DevicePrint.checkCompatibility("a1b2c3", result.fingerprint).reasons,
+      ["schemaVersion", "algorithm"],
+    );
+    assert.deepStrictEqual(
+      DevicePrint.checkCompatibility(
+        result.fingerprint,
+        "v3:sha256:" + "0".repeat(64),
+      ).reasons,
+      ["algorithm"],
+    );
+    passed++;
+    console.log(
+      "✅ results should carry schema versions and report compatibility",
+    );
+  } catch (error) {
+    failed++;
+    console.log(`❌ Schema version test failed: ${error.message}\n`);
+  }
+
+  try {
+    const dp = new DevicePrint({ signals: ["language", "colorDepth"] });
+    const fallback = await dp.generate();
+    assert(fallback.fingerprint.startsWith("v3:murmur3:"));
+
+    window.crypto = require("crypto").webcrypto;
+    const sha = await dp.generate();
+    assert(sha.fingerprint.startsWith("v3:sha256:"));
+    const murmur = await new DevicePrint({
+      signals: ["language", "colorDepth"],
+      hashAlgorithm: "murmur3",
+      componentHashes: true,
+    }).generate();
+    assert.strictEqual(murmur.fingerprint, fallback.fingerprint);
+
+    const verified = await require("../src/server.js").verify(murmur);
+    assert.deepStrictEqual(verified.issues, []);
+    assert.strictEqual(verified.algorithm, "murmur3");
+
+    // canvas hashes its own output, so a SHA-256 value must not be reused
+    const cached = new DevicePrint({ signals: ["canvas"], cache: true });
+    cached.invalidate();
+    await cached.generate();
+    const cachedMurmur = await new DevicePrint({
+      signals: ["canvas"],
+      cache: true,
+      hashAlgorithm: "murmur3",
+    }).generate();
+    const uncachedMurmur = await new DevicePrint({
+      signals: ["canvas"],
+      hashAlgorithm: "murmur3",
+    }).generate();
+    assert.strictEqual(cachedMurmur.diagnostics.canvas.cached, undefined);
+    assert.deepStrictEqual(
+      cachedMurmur.components.canvas,
+      uncachedMurmur.components.canvas,
+    );
+    cached.invalidate();
+    passed++;
+    console.log(
+      "✅ hashAlgorithm murmur3 should give the same fingerprint on every origin",
+    );
+  } catch (error) {
+    failed++;
+    console.log(`❌ Hash algorithm test failed: ${error.message}\n`);
+  } finally {
+    window.crypto = windowCrypto;
+  }
+
+  const body = document.body;
+  try {
+    const appended = [];
+    let frameNavigator = navigator;
+    document.createElement = (tag) => {
+      const element = createElement(tag);
+      if (tag === "iframe") {
+        element.setAttribute = (name, value) => {
+          element[name] = value;
+        };
+        element.contentWindow = { navigator: frameNavigator, screen };
+      }
+      return element;
+    };
+    document.body = {
+      appendChild: (element) => appended.push(element),
+      removeChild: (element) => appended.splice(appended.indexOf(element), 1),
+    };
+
+    const dp = new DevicePrint({ signals: ["crossContext"] });
+    assert.deepStrictEqual(dp.getCrossContextMismatches(), []);
+
+    // An extension that patched only the top window's navigator
+    frameNavigator = Object.assign({}, navigator, {
+      hardwareConcurrency: 16,
+      languages: ["en-US", "en"],
+    });
+    assert.deepStrictEqual(dp.getCrossContextMismatches(), [
+      { property: "languages", top: undefined, frame: ["en-US", "en"] },
+      { property: "hardwareConcurrency", top: 4, frame: 16 },
+    ]);
+    const result = await dp.generate();
+    assert.deepStrictEqual(result.components.crossContext, [
+      "languages",
+      "hardwareConcurrency",
+    ]);
+    assert.strictEqual(appended.length, 0, "iframe should be removed");
+    assert(DevicePrint.PRESETS.EXTENDED.includes("crossContext"));
+    assert(!DevicePrint.PRESETS.DEFAULT.includes("crossContext"));
+    passed++;
+    console.log(
+      "✅ crossContext should report values patched on the top window",
+    );
+  } catch (error) {
+    failed++;
+    console.log(`❌ Cross-context test failed: ${error.message}\n`);
+  } finally {
+    document.createElement = createElement;
+    document.body = body;
+  }
+
+  try {
+    let created = 0;
+    let released = 0;
+    document.createElement = (tag) => {
+      const element = createElement(tag);
+      element.getContext = (type) => {
+        if (type !== "webgl") return null;
+        created++;
+        return {
+          VENDOR: 0x1f00,
+          getParameter: (name) =>
+            name === 0x9246 ? "ANGLE (SwiftShader)" : "WebKit",
+          getExtension: (name) => {
+            if (name === "WEBGL_debug_renderer_info") {
+              return {
+                UNMASKED_VENDOR_WEBGL: 0x9245,
+                UNMASKED_RENDERER_WEBGL: 0x9246,
+              };
+            }
+            if (name === "WEBGL_lose_context") {
+              return { loseContext: () => released++ };
+            }
+            return null;
+          },
+          getShaderPrecisionFormat: () => null,
+          getSupportedExtensions: () => [],
+        };
+      };
+      return element;
+    };
+
+    // botSignals and the webglRenderer rule reuse the webgl component
+    const result = await new DevicePrint({
+      signals: ["webgl", "botSignals", "hasLiedOs"],
+    }).generate();
+    assert.strictEqual(
+      result.components.botSignals.flags.softwareRenderer,
+      true,
+    );
+    assert.strictEqual(created, 1);
+    assert.strictEqual(released, 1);
+
+    // On their own they share one probe, which is released
+    created = 0;
+    released = 0;
+    await new DevicePrint({ signals: ["botSignals", "hasLiedOs"] }).generate();
+    assert.strictEqual(created, 1);
+    assert.strictEqual(released, 1);
+
+    created = 0;
+    released = 0;
+    const extended = await new DevicePrint({
+      signals: ["extendedWebGL"],
+    }).generate();
+    assert.strictEqual(extended.diagnostics.extendedWebGL.status, "ok");
+    assert.strictEqual(created, 1);
+    assert.strictEqual(released, 1);
+    passed++;
+    console.log("✅ WebGL probes should be shared and released");
+  } catch (error) {
+    failed++;
+    console.log(`❌ WebGL context test failed: ${error.message}\n`);
+  } finally {
+    document.createElement = createElement;
+  }
+
+  const pageGlobals = { Worker: global.Worker, location: global.location };
+  try {
+    const vm = require("vm");
+    const { resolveObjectURL } = require("buffer");
+    const librarySource = require("fs").readFileSync(
+      require.resolve("../src/deviceprint.js"),
+      "utf8",
+    );
+
+    // Runs the worker script in its own context, with a navigator that differs
+    // from the page's like a spoofing extension that only patches the page
+    global.Worker = class {
+      constructor(blobUrl) {
+        this.scope = {
+          navigator: Object.assign({}, navigator, {
+            userAgent: "Node.js Worker",
+          }),
+          TextEncoder,
+          Blob,
+          setTimeout,
+          clearTimeout,
+          OffscreenCanvas: class {
+            constructor(width, height) {
+              return Object.assign(document.createElement("canvas"), {
+                width,
+                height,
+                toDataURL: undefined,
+                convertToBlob: async () => new Blob(["png"]),
+              });
+            }
+          },
+          FileReaderSync: class {
+            readAsDataURL() {
+              return "data:image/png;base64,worker";
+            }
+          },
+          importScripts: (url) => {
+            if (!url.endsWith("/deviceprint.js")) {
+              throw new Error("Failed to load " + url);
+            }
+            vm.runInContext(librarySource, this.scope);
+          },
+          postMessage: (data) =>
+            this.onmessage({ data: structuredClone(data) }),
+        };
+        this.scope.self = this.scope;
+        vm.createContext(this.scope);
+        this.ready = resolveObjectURL(blobUrl)
+          .text()
+          .then((source) => vm.runInContext(source, this.scope));
+      }
+      postMessage(data) {
+        this.ready.then(() => {
+          try {
+            this.scope.onmessage({ data: structuredClone(data) });
+          } catch (error) {
+            this.onerror({ message: error.message, preventDefault() {} });
+          }
+        });
+      }
+      terminate() {}
+    };
+    global.location = { href: "https://example.test/app/" };
+
+    const signals = ["userAgent", "language", "fonts", "canvas"];
+    const dp = new DevicePrint({
+      signals,
+      worker: { url: "/lib/deviceprint.js" },
+    });
+    const result = await dp.generate();
+    assert.strictEqual(result.worker.status, "ok");
+    assert.deepStrictEqual(result.worker.signals.sort(), signals.sort());
+    assert.deepStrictEqual(result.worker.mismatches, [
+      {
+        signal: "userAgent",
+        main: "Node.js Test Runner",
+        worker: "Node.js Worker",
+      },
+    ]);
+    assert.strictEqual(result.components.userAgent, "Node.js Test Runner");
+    assert.strictEqual(result.diagnostics.fonts.worker, true);
+    assert.strictEqual(result.diagnostics.canvas.worker, true);
+    assert.strictEqual(result.diagnostics.language.worker, undefined);
+    const mainCanvas = await new DevicePrint({
+      signals: ["canvas"],
+    }).generate();
+    // Pixels are hashed, so the worker and the page agree on the value
+    assert.deepStrictEqual(
+      result.components.canvas,
+      mainCanvas.components.canvas,
+    );
+    const debugCanvas = await new DevicePrint({
+      signals: ["canvas"],
+      canvas: { debug: true },
+      worker: { url: "/lib/deviceprint.js" },
+    }).generate();
+    assert.strictEqual(debugCanvas.diagnostics.canvas.worker, true);
+    assert.strictEqual(
+      debugCanvas.components.canvas.hash,
+      mainCanvas.components.canvas.hash,
+    );
+    assert.strictEqual(
+      debugCanvas.components.canvas.images.text,
+      "data:image/png;base64,worker",
+    );
+
+    // The OS rule reuses the worker's font scan instead of scanning here
+    const getFonts = DevicePrint.prototype.getFonts;
+    const userAgent = navigator.userAgent;
+    navigator.userAgent = "Mozilla/5.0 (Windows NT 10.0; Win64; x64)";
+    let mainScans = 0;
+    DevicePrint.prototype.getFonts = function () {
+      mainScans++;
+      return getFonts.call(this);
+    };
+    try {
+      const offloaded = await new DevicePrint({
+        signals: ["fonts", "hasLiedOs"],
+        worker: { url: "/lib/deviceprint.js" },
+      }).generate();
+      assert.strictEqual(offloaded.diagnostics.fonts.worker, true);
+      assert.strictEqual(mainScans, 0);
+    } finally {
+      DevicePrint.prototype.getFonts = getFonts;
+      navigator.userAgent = userAgent;
+    }
+
+    const broken = await new DevicePrint({
+      signals,
+      worker: { url: "missing.js" },
+    }).generate();
+    assert.strictEqual(broken.worker.status, "error");
+    assert.strictEqual(
+      broken.worker.error,
+      "Failed to load " + "https://example.test/app/missing.js",
+    );
+    assert.deepStrictEqual(
+      broken.components.canvas,
+      mainCanvas.components.canvas,
+    );
+    assert.strictEqual(broken.diagnostics.fonts.status, "ok");
+
+    // Without OffscreenCanvas in the worker the canvas probes run on the page
+    const FullWorker = global.Worker;
+    global.Worker = class extends FullWorker {
+      constructor(blobUrl) {
+        super(blobUrl);
+        delete this.scope.OffscreenCanvas;
+      }
+    };
+    let partial;
+    try {
+      partial = await new DevicePrint({
+        signals,
+        worker: { url: "/lib/deviceprint.js" },
+      }).generate();
+    } finally {
+      global.Worker = FullWorker;
+    }
+    assert.strictEqual(partial.worker.status, "ok");
+    assert.deepStrictEqual(partial.worker.signals.sort(), [
+      "language",
+      "userAgent",
+    ]);
+    assert.deepStrictEqual(
+      partial.components.canvas,
+      mainCanvas.components.canvas,
+    );
+    assert.strictEqual(partial.diagnostics.fonts.status, "ok");
+    assert.strictEqual(partial.diagnostics.canvas.worker, undefined);
+    assert.strictEqual(
+      partial.fingerprint,
+      (await new DevicePrint({ signals }).generate()).fingerprint,
+    );
+
+    // Outside a standalone <script> the worker needs an explicit url
+    const noUrl = await new DevicePrint({ signals, worker: true }).generate();
+    assert.strictEqual(noUrl.worker.status, "unavailable");
+    assert.strictEqual(noUrl.diagnostics.fonts.status, "ok");
+
+    delete global.Worker;
+    const unsupported = await new DevicePrint({
+      signals,
+      worker: { url: "/lib/deviceprint.js" },
+    }).generate();
+    assert.strictEqual(unsupported.worker.status, "unavailable");
+    assert.deepStrictEqual(Object.keys(unsupported.components).sort(), signals);
+    assert.strictEqual(
+      (await new DevicePrint({ signals }).generate()).worker,
+      undefined,
+    );
+    passed++;
+    console.log(
+      "✅ worker option should offload signals and report worker mismatches",
+    );
+  } catch (error) {
+    failed++;
+    console.log(`❌ Worker test failed: ${error.message}\n`);
+  } finally {
+    Object.assign(global, pageGlobals);
+  }
+
   // Print summary
   console.log("\n" + "=".repeat(50));
   console.log(`📊 Test Results: ${passed} passed, ${failed} failed`);
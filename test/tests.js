@@ -366,12 +366,77 @@ const testSuites = [
           const canvas1 = await dp.getCanvasFingerprint();
           const canvas2 = await dp.getCanvasFingerprint();
           assertEqual(
-            canvas1,
-            canvas2,
+            JSON.stringify(canvas1),
+            JSON.stringify(canvas2),
             "Canvas fingerprint should be consistent",
           );
         },
       },
+      {
+        name: "Canvas fingerprint should hash each scene",
+        fn: async () => {
+          const dp = new DevicePrint();
+          const result = await dp.getCanvasFingerprint();
+          const canvas = result.randomized ? result.value : result;
+          assertType(canvas.hash, "string", "Should have an overall hash");
+          for (const scene of ["text", "emoji", "gradient", "winding"]) {
+            assertType(
+              canvas.scenes[scene],
+              "string",
+              `Should hash the ${scene} scene`,
+            );
+          }
+          assert(!("images" in canvas), "Should not include raw images");
+        },
+      },
+      {
+        name: "Canvas should not be flagged as randomized without noise",
+        fn: async () => {
+          const dp = new DevicePrint();
+          // Every render reads back the same pixels, whatever the browser does
+          const pixels = new Uint8ClampedArray(64).map((_, i) => i);
+          dp.renderCanvasScene = () => ({
+            width: 4,
+            height: 4,
+            getContext: () => ({ getImageData: () => ({ data: pixels }) }),
+          });
+          const canvas = await dp.getCanvasFingerprint();
+          assert(
+            canvas.randomized !== true,
+            "Identical renders should not be flagged as randomized",
+          );
+          assertType(canvas.hash, "string", "Should have a hash");
+        },
+      },
+      {
+        name: "Randomized components should be excluded from the hash",
+        fn: async () => {
+          const dp = new DevicePrint();
+          dp.components = { language: "en-US" };
+          const baseline = await dp.computeHash();
+          dp.components.canvas = {
+            value: { hash: String(Math.random()) },
+            randomized: true,
+          };
+          assertEqual(
+            await dp.computeHash(),
+            baseline,
+            "Randomized canvas should not change the hash",
+          );
+        },
+      },
+      {
+        name: "Canvas debug option should include raw images",
+        fn: async () => {
+          const dp = new DevicePrint({ canvas: { debug: true } });
+          const result = await dp.getCanvasFingerprint();
+          const canvas = result.randomized ? result.value : result;
+          assert(
+            canvas.images.text.startsWith("data:image/png"),
+            "Should include the text scene data URL",
+          );
+        },
+      },
     ],
   },
   {
@@ -385,6 +450,43 @@ const testSuites = [
           assertNotNull(webgl, "WebGL fingerprint should not be null");
         },
       },
+      {
+        name: "getWebGLRenderFingerprint should return a hash or fallback",
+        fn: async () => {
+          const dp = new DevicePrint();
+          const result = await dp.getWebGLRenderFingerprint();
+          assertNotNull(result, "WebGL render fingerprint should not be null");
+          const hash = result.randomized ? result.value : result;
+          assertType(hash, "string", "Should be a hash or a fallback string");
+        },
+      },
+      {
+        name: "WebGL render fingerprint should be consistent",
+        fn: async () => {
+          const dp = new DevicePrint();
+          const result1 = await dp.getWebGLRenderFingerprint();
+          const result2 = await dp.getWebGLRenderFingerprint();
+          if (result1.randomized) return;
+          assertEqual(result1, result2, "Rendered pixels should be stable");
+        },
+      },
+      {
+        name: "getWebGPUInfo should return adapter info or fallback (async)",
+        fn: async () => {
+          const dp = new DevicePrint();
+          const result = await dp.getWebGPUInfo();
+          assertNotNull(result, "Should return WebGPU info");
+          if (typeof result === "object") {
+            assertArray(result.features, "features should be an array");
+            assertType(result.limits, "object", "limits should be an object");
+          } else {
+            assert(
+              result === "not supported" || result === "not available",
+              "Should fall back to not supported/not available",
+            );
+          }
+        },
+      },
       {
         name: "getWebGLVendor should return value",
         fn: async () => {
@@ -399,11 +501,29 @@ const testSuites = [
     name: "Font Detection Tests",
     tests: [
       {
-        name: "getFonts should return array",
+        name: "getFonts should return detected fonts and an OS guess",
         fn: async () => {
           const dp = new DevicePrint();
           const fonts = dp.getFonts();
-          assertArray(fonts, "Fonts should be an array");
+          assertArray(fonts.detected, "Detected fonts should be an array");
+          assert(
+            fonts.osFamily === null ||
+              ["windows", "mac", "linux", "android"].includes(fonts.osFamily),
+            "osFamily should be an OS family or null",
+          );
+        },
+      },
+      {
+        name: "fonts list option should limit detection to the given fonts",
+        fn: async () => {
+          const dp = new DevicePrint({
+            fonts: { list: ["Arial"], extraFonts: ["No Such Font 123"] },
+          });
+          const fonts = dp.getFonts();
+          assert(
+            fonts.detected.every((font) => font === "Arial"),
+            "Only listed fonts should be detected",
+          );
         },
       },
       {
@@ -433,11 +553,26 @@ const testSuites = [
         },
       },
       {
-        name: "Audio fingerprint should be string",
+        name: "Audio fingerprint should be a sum and hash",
         fn: async () => {
           const dp = new DevicePrint();
           const audio = await dp.getAudioFingerprint();
-          assertType(audio, "string", "Audio fingerprint should be a string");
+          if (audio === "not supported") return;
+          assertType(audio.sum, "number", "Audio sum should be a number");
+          assertType(audio.hash, "string", "Audio hash should be a string");
+        },
+      },
+      {
+        name: "Audio fingerprint should be consistent",
+        fn: async () => {
+          const dp = new DevicePrint();
+          const audio1 = await dp.getAudioFingerprint();
+          const audio2 = await dp.getAudioFingerprint();
+          assertEqual(
+            JSON.stringify(audio1),
+            JSON.stringify(audio2),
+            "Offline audio rendering should be deterministic",
+          );
         },
       },
     ],
@@ -445,6 +580,30 @@ const testSuites = [
   {
     name: "Consistency Check Tests",
     tests: [
+      {
+        name: "getClientHints should return hints or not supported (async)",
+        fn: async () => {
+          const dp = new DevicePrint();
+          const hints = await dp.getClientHints();
+          if (hints === "not supported") return;
+          assertArray(hints.brands, "brands should be an array");
+          assertType(hints.mobile, "boolean", "mobile should be a boolean");
+          assertType(hints.platform, "string", "platform should be a string");
+          assert(
+            !("architecture" in hints),
+            "High-entropy hints should be opt-in",
+          );
+        },
+      },
+      {
+        name: "clientHints highEntropy option should add high-entropy hints",
+        fn: async () => {
+          const dp = new DevicePrint({ clientHints: { highEntropy: true } });
+          const hints = await dp.getClientHints();
+          if (hints === "not supported") return;
+          assert("platformVersion" in hints, "Should include platformVersion");
+        },
+      },
       {
         name: "getHasLiedLanguages should return boolean",
         fn: async () => {
@@ -477,11 +636,111 @@ const testSuites = [
           );
         },
       },
+      {
+        name: "getBotSignals should return flags and a verdict",
+        fn: async () => {
+          const dp = new DevicePrint();
+          const result = dp.getBotSignals();
+          assertType(result.flags, "object", "flags should be an object");
+          assertType(
+            result.flags.webdriver,
+            "boolean",
+            "webdriver flag should be a boolean",
+          );
+          assertArray(result.globals, "globals should be an array");
+          assert(
+            ["bot", "suspicious", "human"].includes(result.verdict),
+            "verdict should be bot, suspicious or human",
+          );
+        },
+      },
+      {
+        name: "getCrossContextMismatches should find no tampering",
+        fn: async () => {
+          const dp = new DevicePrint();
+          const mismatches = dp.getCrossContextMismatches();
+          assertArray(mismatches, "Should return an array");
+          assertEqual(
+            mismatches.length,
+            0,
+            "An unmodified browser should match its own iframe",
+          );
+          assertEqual(
+            document.querySelectorAll("iframe[aria-hidden]").length,
+            0,
+            "The probe iframe should be removed",
+          );
+        },
+      },
+      {
+        name: "getConsistency should list named inconsistencies",
+        fn: async () => {
+          const dp = new DevicePrint();
+          const inconsistencies = dp.getConsistency();
+          assertArray(inconsistencies, "Should return an array");
+          for (const item of inconsistencies) {
+            assertType(item.name, "string", "name should be a string");
+            assert(
+              ["low", "medium", "high"].includes(item.severity),
+              "severity should be low, medium or high",
+            );
+          }
+        },
+      },
+      {
+        name: "Custom consistency rules should feed hasLied signals",
+        fn: async () => {
+          DevicePrint.registerConsistencyRule("testLanguages", {
+            category: "languages",
+            severity: "low",
+            check: () => true,
+          });
+          try {
+            const dp = new DevicePrint();
+            assertEqual(
+              dp.getHasLiedLanguages(),
+              true,
+              "Broken rule should mark languages as lied",
+            );
+            const names = dp.getConsistency("languages").map((i) => i.name);
+            assert(names.includes("testLanguages"), "Should report the rule");
+          } finally {
+            DevicePrint.unregisterConsistencyRule("testLanguages");
+          }
+        },
+      },
     ],
   },
   {
     name: "Hash Generation Tests",
     tests: [
+      {
+        name: "seal should sign the result with the challenge key",
+        fn: async () => {
+          if (!window.crypto || !window.crypto.subtle) return;
+          const dp = new DevicePrint({ signals: ["language"] });
+          const result = await dp.generate();
+          const envelope = await dp.seal(result, {
+            nonce: Date.now() + ".test",
+            key: "00112233445566778899aabbccddeeff",
+          });
+          const payload = JSON.parse(envelope.payload);
+          assertEqual(
+            payload.fingerprint,
+            result.fingerprint,
+            "Payload should carry the fingerprint",
+          );
+          assertEqual(
+            payload.version,
+            DevicePrint.VERSION,
+            "Payload should carry the library version",
+          );
+          assert(
+            /^[0-9a-f]{64}$/.test(envelope.signature),
+            "Signature should be a hex HMAC-SHA256",
+          );
+        },
+      },
       {
         name: "simpleHash should return string",
         fn: async () => {
@@ -515,6 +774,89 @@ const testSuites = [
           );
         },
       },
+      {
+        name: "murmurHash3 should return a 128-bit hex hash",
+        fn: async () => {
+          const dp = new DevicePrint();
+          assertEqual(
+            dp.murmurHash3("hello"),
+            "cbd8a7b341bd9b025b1e906a48ae1d19",
+            "Should match the reference MurmurHash3 x64 128-bit value",
+          );
+        },
+      },
+      {
+        name: "worker option should report a worker status",
+        fn: async () => {
+          const dp = new DevicePrint({
+            signals: ["userAgent", "mathFingerprint", "canvas"],
+            worker: true,
+          });
+          const result = await dp.generate();
+          assert(result.worker, "Should include a worker report");
+          assert(
+            ["ok", "unavailable", "error", "timeout"].includes(
+              result.worker.status,
+            ),
+            "Should have a known status",
+          );
+          assert(
+            Array.isArray(result.worker.mismatches),
+            "Should list mismatches",
+          );
+          assert("canvas" in result.components, "Should still collect canvas");
+        },
+      },
+      {
+        name: "hashAlgorithm murmur3 should tag the fingerprint",
+        fn: async () => {
+          const dp = new DevicePrint({ hashAlgorithm: "murmur3" });
+          const result = await dp.generate();
+          assertEqual(
+            DevicePrint.parseFingerprint(result.fingerprint).algorithm,
+            "murmur3",
+          );
+        },
+      },
+      {
+        name: "componentHashes option should return a hash per component",
+        fn: async () => {
+          const dp = new DevicePrint({ componentHashes: true });
+          const result = await dp.generate();
+          assertType(
+            result.componentHashes,
+            "object",
+            "componentHashes should be an object",
+          );
+          for (const signal of result.signalsUsed) {
+            assertType(
+              result.componentHashes[signal],
+              "string",
+              `${signal} should have a hash`,
+            );
+            assert(
+              result.componentHashes[signal].length <= 16,
+              "Component hashes should be short",
+            );
+          }
+        },
+      },
+      {
+        name: "Component hashes should be stable across instances",
+        fn: async () => {
+          const result1 = await new DevicePrint({
+            componentHashes: true,
+          }).generate();
+          const result2 = await new DevicePrint({
+            componentHashes: true,
+          }).generate();
+          assertEqual(
+            JSON.stringify(result1.componentHashes),
+            JSON.stringify(result2.componentHashes),
+            "Component hashes should match",
+          );
+        },
+      },
       {
         name: "computeHash should return string",
         fn: async () => {
@@ -852,13 +1194,19 @@ const testSuites = [
         },
       },
       {
-        name: "getMathFingerprint should return math constants",
+        name: "getMathFingerprint should return engine-revealing results",
         fn: async () => {
           const dp = new DevicePrint();
           const result = dp.getMathFingerprint();
           assertType(result, "object", "Should return object");
-          assert("pi" in result, "Should have pi constant");
-          assert("e" in result, "Should have e constant");
+          assertType(result.tan, "number", "Should have tan(-1e300)");
+          assertType(result.expm1, "number", "Should have expm1(1)");
+          assert(!("pi" in result), "Should not return Math constants");
+          assertEqual(
+            JSON.stringify(dp.getMathFingerprint()),
+            JSON.stringify(result),
+            "Results should be deterministic",
+          );
         },
       },
       {
@@ -877,6 +1225,26 @@ const testSuites = [
           assertNotNull(result, "Should return WebGL info");
         },
       },
+      {
+        name: "getExtendedWebGLInfo should include shader precision and WebGL2",
+        fn: async () => {
+          const dp = new DevicePrint();
+          const result = dp.getExtendedWebGLInfo();
+          if (result === "not supported") return;
+          assertArray(
+            result.shaderPrecision.fragment.highFloat,
+            "Should have fragment highp float precision",
+          );
+          assertNotNull(result.webgl2, "Should report WebGL2 info");
+          if (result.webgl2 !== "not supported") {
+            assertType(
+              result.webgl2.max3dTextureSize,
+              "number",
+              "Should have MAX_3D_TEXTURE_SIZE",
+            );
+          }
+        },
+      },
       {
         name: "getSpeechVoices should return array or not supported (async)",
         fn: async () => {
@@ -1007,6 +1375,425 @@ const testSuites = [
       },
     ],
   },
+  {
+    name: "Signal Registry Tests",
+    tests: [
+      {
+        name: "All preset signals should be registered",
+        fn: async () => {
+          const registered = DevicePrint.getRegisteredSignals();
+          for (const signal of DevicePrint.PRESETS.FULL) {
+            assert(
+              registered.includes(signal),
+              `${signal} should be registered`,
+            );
+          }
+        },
+      },
+      {
+        name: "getSignalDefinition should describe built-in signals",
+        fn: async () => {
+          const canvas = DevicePrint.getSignalDefinition("canvas");
+          assertNotNull(canvas, "canvas should have a definition");
+          assertEqual(canvas.async, true, "canvas should be async");
+          assertEqual(
+            canvas.stability,
+            "version",
+            "canvas should be version-sensitive",
+          );
+          assertEqual(
+            DevicePrint.getSignalDefinition("doesNotExist"),
+            null,
+            "Unknown signals should return null",
+          );
+        },
+      },
+      {
+        name: "registerSignal should reject invalid definitions",
+        fn: async () => {
+          let threw = false;
+          try {
+            DevicePrint.registerSignal("broken", {});
+          } catch (e) {
+            threw = e instanceof TypeError;
+          }
+          assert(threw, "Should throw TypeError without collect");
+        },
+      },
+      {
+        name: "Custom signals should be collected by generate",
+        fn: async () => {
+          DevicePrint.registerSignal("testSync", { collect: () => "sync" });
+          DevicePrint.registerSignal("testAsync", {
+            collect: async () => "async",
+            async: true,
+          });
+          try {
+            const dp = new DevicePrint({
+              signals: ["platform", "testSync", "testAsync"],
+            });
+            const result = await dp.generate();
+            assertEqual(result.components.testSync, "sync");
+            assertEqual(result.components.testAsync, "async");
+          } finally {
+            DevicePrint.unregisterSignal("testSync");
+            DevicePrint.unregisterSignal("testAsync");
+          }
+        },
+      },
+      {
+        name: "Custom signals should join presets and honour exclude",
+        fn: async () => {
+          DevicePrint.registerSignal("testPreset", {
+            collect: () => 42,
+            presets: ["EXTENDED"],
+          });
+          try {
+            assert(
+              DevicePrint.PRESETS.EXTENDED.includes("testPreset"),
+              "Should be added to EXTENDED",
+            );
+            assert(
+              !DevicePrint.PRESETS.DEFAULT.includes("testPreset"),
+              "Should not be added to DEFAULT",
+            );
+            const dp = new DevicePrint({
+              signals: "EXTENDED",
+              exclude: ["testPreset"],
+            });
+            assert(!dp.isSignalEnabled("testPreset"), "Should be excluded");
+          } finally {
+            DevicePrint.unregisterSignal("testPreset");
+          }
+          assert(
+            !DevicePrint.PRESETS.EXTENDED.includes("testPreset"),
+            "unregisterSignal should remove it from presets",
+          );
+        },
+      },
+    ],
+  },
+  {
+    name: "Timeout & Abort Tests",
+    tests: [
+      {
+        name: "Stalled async signal should be recorded as timeout",
+        fn: async () => {
+          DevicePrint.registerSignal("testHang", {
+            collect: () => new Promise(() => {}),
+            async: true,
+          });
+          try {
+            const dp = new DevicePrint({
+              signals: ["platform", "testHang"],
+              timeout: 50,
+            });
+            const result = await dp.generate();
+            assertEqual(
+              result.components.testHang,
+              "timeout",
+              "Should record timeout value",
+            );
+            assertEqual(
+              result.components.platform,
+              dp.getPlatform(),
+              "Other signals should still be collected",
+            );
+          } finally {
+            DevicePrint.unregisterSignal("testHang");
+          }
+        },
+      },
+      {
+        name: "Per-signal timeout should override the global timeout",
+        fn: async () => {
+          const dp = new DevicePrint({
+            timeout: 1000,
+            timeouts: { audio: 10 },
+          });
+          assertEqual(dp.getSignalTimeout("audio"), 10);
+          assertEqual(dp.getSignalTimeout("canvas"), 1000);
+        },
+      },
+      {
+        name: "Built-in slow signals should have a default timeout",
+        fn: async () => {
+          const dp = new DevicePrint();
+          for (const signal of [
+            "audio",
+            "speechVoices",
+            "permissions",
+            "mediaDevices",
+          ]) {
+            assertType(
+              dp.getSignalTimeout(signal),
+              "number",
+              `${signal} should have a default timeout`,
+            );
+          }
+        },
+      },
+      {
+        name: "generate should reject when aborted",
+        fn: async () => {
+          DevicePrint.registerSignal("testHang", {
+            collect: () => new Promise(() => {}),
+            async: true,
+          });
+          try {
+            const controller = new AbortController();
+            const dp = new DevicePrint({ signals: ["testHang"] });
+            const pending = dp.generate({ signal: controller.signal });
+            controller.abort();
+
+            let rejected = false;
+            try {
+              await pending;
+            } catch (e) {
+              rejected = e.name === "AbortError";
+            }
+            assert(rejected, "Should reject with an AbortError");
+          } finally {
+            DevicePrint.unregisterSignal("testHang");
+          }
+        },
+      },
+    ],
+  },
+  {
+    name: "Diagnostics Tests",
+    tests: [
+      {
+        name: "generate should return diagnostics for every signal",
+        fn: async () => {
+          const dp = new DevicePrint();
+          const result = await dp.generate();
+          assertType(result.diagnostics, "object", "Should have diagnostics");
+          for (const signal of result.signalsUsed) {
+            const entry = result.diagnostics[signal];
+            assertNotNull(entry, `${signal} should have a diagnostics entry`);
+            assert(
+              ["ok", "unsupported", "error", "timeout"].includes(entry.status),
+              `${signal} should have a valid status`,
+            );
+            assertType(entry.duration, "number", "duration should be a number");
+          }
+        },
+      },
+      {
+        name: "Thrown collector errors should be reported, not swallowed",
+        fn: async () => {
+          DevicePrint.registerSignal("testThrows", {
+            collect: async () => {
+              throw new Error("boom");
+            },
+            async: true,
+          });
+          try {
+            const dp = new DevicePrint({ signals: ["testThrows"] });
+            const result = await dp.generate();
+            assertEqual(result.components.testThrows, "error");
+            assertEqual(result.diagnostics.testThrows.status, "error");
+            assertEqual(result.diagnostics.testThrows.error, "boom");
+          } finally {
+            DevicePrint.unregisterSignal("testThrows");
+          }
+        },
+      },
+      {
+        name: "Unsupported and timed out signals should be flagged",
+        fn: async () => {
+          DevicePrint.registerSignal("testMissing", {
+            collect: () => "not supported",
+          });
+          DevicePrint.registerSignal("testSlow", {
+            collect: () => new Promise(() => {}),
+            async: true,
+            timeout: 20,
+          });
+          try {
+            const dp = new DevicePrint({
+              signals: ["testMissing", "testSlow"],
+            });
+            const result = await dp.generate();
+            assertEqual(result.diagnostics.testMissing.status, "unsupported");
+            assertEqual(result.diagnostics.testSlow.status, "timeout");
+          } finally {
+            DevicePrint.unregisterSignal("testMissing");
+            DevicePrint.unregisterSignal("testSlow");
+          }
+        },
+      },
+    ],
+  },
+  {
+    name: "Entropy Tests",
+    tests: [
+      {
+        name: "generate should report the entropy of usable signals",
+        fn: async () => {
+          const dp = new DevicePrint();
+          const result = await dp.generate();
+          assertType(result.entropy, "number", "entropy should be a number");
+          assert(
+            result.entropy <= DevicePrint.estimateEntropy("DEFAULT").total,
+            "Failed or unsupported signals should not add entropy",
+          );
+        },
+      },
+      {
+        name: "Built-in signals should carry entropy, stability and risk",
+        fn: async () => {
+          for (const name of DevicePrint.PRESETS.FULL) {
+            const definition = DevicePrint.getSignalDefinition(name);
+            assertType(definition.entropy, "number", `${name} entropy`);
+            assertType(definition.stability, "string", `${name} stability`);
+            assert(
+              ["none", "permission", "prompt"].includes(definition.risk),
+              `${name} risk should be none, permission or prompt`,
+            );
+          }
+        },
+      },
+    ],
+  },
+  {
+    name: "Caching Tests",
+    tests: [
+      {
+        name: "cache option should reuse values until invalidated",
+        fn: async () => {
+          let collected = 0;
+          DevicePrint.registerSignal("testCached", {
+            collect: () => ++collected,
+            cacheTtl: 60000,
+          });
+          try {
+            const dp = new DevicePrint({
+              signals: ["testCached"],
+              cache: true,
+            });
+            await dp.generate();
+            const result = await dp.generate();
+            assertEqual(collected, 1, "Second run should use the cache");
+            assertEqual(
+              result.diagnostics.testCached.cached,
+              true,
+              "Cache hits should be flagged in diagnostics",
+            );
+            dp.invalidate("testCached");
+            await dp.generate();
+            assertEqual(collected, 2, "invalidate should force a new run");
+          } finally {
+            new DevicePrint().invalidate("testCached");
+            DevicePrint.unregisterSignal("testCached");
+          }
+        },
+      },
+      {
+        name: "Expensive built-in signals should have a cache TTL",
+        fn: async () => {
+          for (const name of ["fonts", "canvas", "audio", "permissions"]) {
+            assert(
+              DevicePrint.getSignalDefinition(name).cacheTtl > 0,
+              `${name} should be cacheable`,
+            );
+          }
+          assertEqual(
+            DevicePrint.getSignalDefinition("networkInfo").cacheTtl,
+            0,
+            "networkInfo should never be cached",
+          );
+        },
+      },
+    ],
+  },
+  {
+    name: "Comparison Tests",
+    tests: [
+      {
+        name: "Identity should keep the visitor ID across runs",
+        fn: async () => {
+          const identity = new DevicePrint.Identity({
+            signals: ["language", "colorDepth", "screenResolution"],
+            key: "deviceprint_identity_test",
+          });
+          try {
+            const first = await identity.identify();
+            assertType(
+              first.visitorId,
+              "string",
+              "visitorId should be a string",
+            );
+            const second = await identity.identify();
+            assertEqual(
+              second.visitorId,
+              first.visitorId,
+              "Visitor ID should survive a second run",
+            );
+            assertEqual(second.isNew, false, "Second run should not be new");
+            assertArray(second.drifted, "drifted should be an array");
+          } finally {
+            await identity.clear();
+          }
+        },
+      },
+      {
+        name: "compare should return 1 for the same device",
+        fn: async () => {
+          const dp = new DevicePrint();
+          const result = await dp.generate();
+          const comparison = DevicePrint.compare(
+            result.components,
+            result.components,
+          );
+          assertEqual(comparison.score, 1, "Score should be 1");
+          assertEqual(comparison.changed.length, 0, "Nothing should change");
+        },
+      },
+      {
+        name: "compare should report a per-signal diff",
+        fn: async () => {
+          const dp = new DevicePrint();
+          const result = await dp.generate();
+          const drifted = Object.assign({}, result.components, {
+            screenResolution: [1, 1],
+          });
+          const comparison = DevicePrint.compare(result.components, drifted);
+          assert(comparison.score < 1, "Score should drop");
+          assert(comparison.score > 0.5, "Score should stay high");
+          assertEqual(comparison.diff.screenResolution.status, "changed");
+          assertEqual(comparison.diff.language.status, "same");
+        },
+      },
+      {
+        name: "compare should honour weight overrides",
+        fn: async () => {
+          const a = { language: "en-US", platform: "Win32" };
+          const b = { language: "de-DE", platform: "Win32" };
+          const comparison = DevicePrint.compare(a, b, {
+            weights: { language: 3 },
+          });
+          assertEqual(comparison.score, 0.25, "Weighted score should be 0.25");
+        },
+      },
+      {
+        name: "fingerprint should be tagged with the schema version",
+        fn: async () => {
+          const dp = new DevicePrint();
+          const result = await dp.generate();
+          const parsed = DevicePrint.parseFingerprint(result.fingerprint);
+          assertEqual(parsed.schemaVersion, DevicePrint.SCHEMA_VERSION);
+          assertEqual(result.schemaVersion, DevicePrint.SCHEMA_VERSION);
+          assertEqual(result.signalVersions.language, 1);
+          assert(
+            DevicePrint.checkCompatibility(result, result).compatible,
+            "A result should be compatible with itself",
+          );
+        },
+      },
+    ],
+  },
 ];
 
 console.log(